@@ -0,0 +1,232 @@
+/**
+ * Mutation Benchmark - Measures how much DOM mutation payload batching saves
+ *
+ * Usage: node scripts/bench-mutations.js [--frames=120]
+ *
+ * Runs DOMRecorder on jsdom through a few animated pages and compares the JSON size
+ * of its DOM_MUTATION events with one event per MutationRecord, the format recorded
+ * before mutations were batched. Prints a Markdown table for docs/WEBVISOR.md.
+ */
+
+import { JSDOM } from 'jsdom';
+
+import { EventType, MutationType } from '../src/shared/constants.js';
+
+const FRAMES = Number(process.argv.find(arg => arg.startsWith('--frames='))?.slice(9)) || 120;
+
+// Browser globals DOMRecorder and PrivacyEngine use
+const GLOBALS = [
+  'window', 'document', 'Node', 'Element', 'HTMLElement', 'HTMLInputElement', 'HTMLIFrameElement',
+  'Document', 'ShadowRoot', 'CSSStyleSheet', 'MutationObserver', 'getComputedStyle',
+  'requestAnimationFrame', 'cancelAnimationFrame', 'location'
+];
+
+const PAGE = `<!DOCTYPE html><html><head></head><body>
+  <div id="app"></div><span id="clock">0</span><ul id="feed"></ul>
+</body></html>`;
+
+const SCENARIOS = [
+  {
+    name: '50 sprites, 3 style/attribute writes each per frame, plus a clock',
+    setup(document) {
+      const app = document.getElementById('app');
+      for (let i = 0; i < 50; i++) {
+        const sprite = document.createElement('div');
+        sprite.className = `sprite s${i}`;
+        app.appendChild(sprite);
+      }
+    },
+    frame(document, frame) {
+      // A tween library writing several properties per sprite
+      for (const sprite of document.getElementById('app').children) {
+        sprite.style.transform = `translate(${frame}px, ${frame * 2}px)`;
+        sprite.style.opacity = String(frame / FRAMES);
+        sprite.setAttribute('aria-valuenow', String(frame));
+      }
+      document.getElementById('clock').firstChild.data = String(frame);
+    }
+  },
+  {
+    name: 'List of 10 rows re-rendered per frame, with a spinner added and removed',
+    setup() {},
+    frame(document, frame) {
+      const feed = document.getElementById('feed');
+      const spinner = document.createElement('div');
+      spinner.className = 'spinner';
+      feed.appendChild(spinner);
+
+      feed.textContent = '';
+      for (let i = 0; i < 10; i++) {
+        const row = document.createElement('li');
+        row.textContent = `row ${frame + i}`;
+        feed.appendChild(row);
+      }
+
+      const clock = document.getElementById('clock').firstChild;
+      clock.data = String(frame);
+      clock.data = `${frame}s`;
+    }
+  },
+  {
+    name: 'One text change per frame (typing)',
+    setup() {},
+    frame(document, frame) {
+      document.getElementById('clock').firstChild.data = 'x'.repeat(frame);
+    }
+  }
+];
+
+/**
+ * Points the browser globals at a jsdom window
+ * @param {import('jsdom').DOMWindow} window
+ */
+function useWindow(window) {
+  for (const name of GLOBALS) {
+    Object.defineProperty(globalThis, name, { value: window[name], configurable: true, writable: true });
+  }
+
+  // jsdom has no CSS.escape; the class names of these pages need no more than this
+  globalThis.CSS = { escape: value => value.replace(/[^a-zA-Z0-9_-]/g, char => `\\${char}`) };
+}
+
+/**
+ * Records one DOM_MUTATION event per MutationRecord, as the recorder did before batching
+ * @param {import('../src/client/recorder/DOMRecorder.js').DOMRecorder} recorder - Gives node IDs
+ * @param {Function} serializeNode
+ * @param {Function} getSelector
+ * @param {Function} onEvent
+ * @returns {MutationObserver}
+ */
+function observePerRecord(recorder, serializeNode, getSelector, onEvent) {
+  const observer = new MutationObserver((mutations) => {
+    for (const mutation of mutations) {
+      const data = {
+        targetId: recorder.getNodeId(mutation.target),
+        targetSelector: getSelector(mutation.target)
+      };
+
+      switch (mutation.type) {
+        case 'childList': {
+          const addedNodes = Array.from(mutation.addedNodes);
+          const nextId = recorder.getSiblingId(mutation.nextSibling);
+
+          data.mutationType = MutationType.CHILD_LIST;
+          data.addedNodes = addedNodes.map((node, index) => ({
+            id: recorder.getNodeId(node),
+            parentId: data.targetId,
+            previousId: index === 0
+              ? recorder.getSiblingId(mutation.previousSibling)
+              : recorder.getNodeId(addedNodes[index - 1]),
+            nextId,
+            node: serializeNode(node)
+          }));
+          data.removedNodes = Array.from(mutation.removedNodes).map(node => recorder.getNodeId(node));
+          break;
+        }
+
+        case 'attributes':
+          data.mutationType = MutationType.ATTRIBUTES;
+          data.attributeName = mutation.attributeName;
+          data.oldValue = mutation.oldValue;
+          data.newValue = mutation.target.getAttribute(mutation.attributeName);
+          break;
+
+        case 'characterData':
+          data.mutationType = MutationType.CHARACTER_DATA;
+          data.oldValue = mutation.oldValue;
+          data.newValue = mutation.target.textContent;
+          break;
+      }
+
+      onEvent({ type: EventType.DOM_MUTATION, timestamp: Date.now(), data });
+    }
+  });
+
+  observer.observe(document.documentElement, {
+    childList: true,
+    attributes: true,
+    characterData: true,
+    subtree: true,
+    attributeOldValue: true,
+    characterDataOldValue: true
+  });
+  return observer;
+}
+
+/**
+ * Sums the UTF-8 JSON size of events
+ * @param {object[]} events
+ * @returns {number}
+ */
+function sizeOf(events) {
+  return events.reduce((total, event) => total + Buffer.byteLength(JSON.stringify(event)), 0);
+}
+
+/**
+ * Runs one scenario with both recording formats
+ * @param {object} scenario
+ * @returns {Promise<object>} Record, event and byte counts
+ */
+async function runScenario(scenario) {
+  const dom = new JSDOM(PAGE, { url: 'http://localhost/', pretendToBeVisual: true });
+  useWindow(dom.window);
+
+  // Imported once the globals exist
+  const { DOMRecorder, serializeNode, getSelector } = await import('../src/client/recorder/DOMRecorder.js');
+
+  scenario.setup(document);
+
+  const batched = [];
+  const perRecord = [];
+  const recorder = new DOMRecorder({
+    onEvent: event => event.type === EventType.DOM_MUTATION && batched.push(event)
+  });
+  recorder.captureSnapshot();
+  recorder.start();
+  const observer = observePerRecord(recorder, serializeNode, getSelector, event => perRecord.push(event));
+
+  for (let frame = 0; frame < FRAMES; frame++) {
+    await new Promise(resolve => requestAnimationFrame(resolve));
+    scenario.frame(document, frame);
+  }
+
+  // Lets the observers deliver the last frame, then flushes it
+  await new Promise(resolve => setTimeout(resolve, 0));
+  observer.disconnect();
+  recorder.stop();
+  dom.window.close();
+
+  return {
+    name: scenario.name,
+    records: recorder.getMutationStats().records,
+    perRecordEvents: perRecord.length,
+    batchedEvents: batched.length,
+    perRecordBytes: sizeOf(perRecord),
+    batchedBytes: sizeOf(batched)
+  };
+}
+
+/**
+ * Runs every scenario and prints the results
+ */
+async function main() {
+  const format = value => value.toLocaleString('en-US');
+
+  console.log(`Measured on jsdom over ${FRAMES} frames, comparing the summed JSON size of \`DOM_MUTATION\` events with one event per record:\n`);
+  console.log('| Scenario | Records | Events before → after | Bytes before → after | Saved |');
+  console.log('|----------|---------|-----------------------|----------------------|-------|');
+
+  for (const scenario of SCENARIOS) {
+    const result = await runScenario(scenario);
+    const saved = Math.round((1 - result.batchedBytes / result.perRecordBytes) * 100);
+
+    console.log(`| ${result.name} | ${format(result.records)} | ` +
+      `${format(result.perRecordEvents)} → ${format(result.batchedEvents)} | ` +
+      `${format(result.perRecordBytes)} → ${format(result.batchedBytes)} | ${saved}% |`);
+  }
+}
+
+main().catch((error) => {
+  console.error('[Webvisor] Benchmark failed:', error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,106 @@
+/**
+ * Key Rotation - Re-encrypts stored files with the active encryption key
+ *
+ * Usage: node scripts/rotate-keys.js [--dry-run]
+ *
+ * Reads the same environment as the server. Files encrypted with older keys, and
+ * plaintext files, are rewritten with the active key. Stop the server first, so it
+ * does not write a file while it is being rotated.
+ */
+
+import { readdir, readFile, writeFile, rename, stat, utimes } from 'node:fs/promises';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { KeyRing, getKeyId, encodeFile, decodeFile } from '../src/server/storage/encryption.js';
+
+const PROJECT_ROOT = fileURLToPath(new URL('..', import.meta.url));
+const DATA_PATH = process.env.DATA_PATH || join(PROJECT_ROOT, 'data/sessions');
+const DRY_RUN = process.argv.includes('--dry-run');
+
+// Session files, their summaries and the user index
+const DIRECTORIES = ['.', 'summaries', 'users'];
+
+/**
+ * Lists the stored JSON files
+ * @returns {Promise<string[]>} File paths
+ */
+async function listFiles() {
+  const paths = [];
+
+  for (const directory of DIRECTORIES) {
+    const directoryPath = join(DATA_PATH, directory);
+    const files = await readdir(directoryPath).catch(() => []);
+
+    for (const file of files) {
+      if (file.endsWith('.json')) {
+        paths.push(join(directoryPath, file));
+      }
+    }
+  }
+
+  return paths;
+}
+
+/**
+ * Re-encrypts a file with the active key, unless it already uses it
+ * @param {string} filePath
+ * @param {KeyRing} keyRing
+ * @returns {Promise<boolean>} Whether the file needed rotating
+ */
+async function rotateFile(filePath, keyRing) {
+  const content = await readFile(filePath);
+  if (getKeyId(content) === keyRing.activeKeyId) return false;
+
+  // Decrypting first fails on files whose key is missing, before anything is written
+  const text = decodeFile(content, keyRing);
+  if (DRY_RUN) return true;
+
+  // Written next to the file and renamed over it, so a crash never leaves half a file.
+  // The modification time is kept, since retention and listing order depend on it
+  const { atime, mtime } = await stat(filePath);
+  const tempPath = `${filePath}.tmp`;
+  await writeFile(tempPath, encodeFile(text, keyRing));
+  await utimes(tempPath, atime, mtime);
+  await rename(tempPath, filePath);
+
+  return true;
+}
+
+/**
+ * Rotates every stored file and reports the result
+ */
+async function main() {
+  const keyRing = KeyRing.fromEnv(process.env);
+
+  if (!keyRing) {
+    console.error('[Webvisor] No encryption key configured; set ENCRYPTION_KEY or ENCRYPTION_KEY_FILE');
+    process.exitCode = 1;
+    return;
+  }
+
+  const files = await listFiles();
+  let rotated = 0;
+  let failed = 0;
+
+  for (const filePath of files) {
+    try {
+      if (await rotateFile(filePath, keyRing)) {
+        rotated++;
+      }
+    } catch (error) {
+      failed++;
+      console.error(`[Webvisor] ${filePath}: ${error.message}`);
+    }
+  }
+
+  const action = DRY_RUN ? 'would be re-encrypted' : 're-encrypted';
+  console.log(`[Webvisor] ${rotated} of ${files.length} files ${action} with key "${keyRing.activeKeyId}"`);
+
+  if (failed > 0) {
+    console.error(`[Webvisor] ${failed} files failed; add their keys to ENCRYPTION_PREVIOUS_KEYS or the key file`);
+    process.exitCode = 1;
+  }
+}
+
+main();
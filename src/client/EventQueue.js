@@ -0,0 +1,312 @@
+/**
+ * Event Queue - Keeps event batches until the server accepts them
+ * @module EventQueue
+ */
+
+const DB_NAME = 'webvisor';
+const STORE_NAME = 'batches';
+
+/**
+ * Wraps an IndexedDB request in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Opens the database that holds queued batches
+ * @returns {Promise<IDBDatabase|null>} null when IndexedDB is unavailable
+ */
+async function openDatabase() {
+  if (typeof indexedDB === 'undefined') return null;
+
+  try {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+    };
+    return await requestToPromise(request);
+  } catch (error) {
+    // Private modes and storage policies can block IndexedDB
+    return null;
+  }
+}
+
+/**
+ * Checks if a failed send is worth retrying
+ * @param {number} status - HTTP status, or 0 when the request did not complete
+ * @returns {boolean}
+ */
+function isRetryable(status) {
+  return status === 0 || status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * EventQueue class - Persistent queue of encoded batches with retry and backoff
+ */
+export class EventQueue {
+  /**
+   * @param {object} options
+   * @param {Function} options.send - Sends an encoded batch; resolves to the HTTP status, or 0 on network errors
+   * @param {number} options.maxSize - Max total size of queued batches in bytes
+   * @param {string} options.dropPolicy - 'oldest' or 'newest' batches are dropped when the queue is full
+   * @param {number} options.retryDelay - Ms before the first retry
+   * @param {number} options.maxRetryDelay - Upper bound of the retry delay in ms
+   */
+  constructor(options = {}) {
+    this.send = options.send;
+    this.maxSize = options.maxSize || 5 * 1024 * 1024;
+    this.dropPolicy = options.dropPolicy || 'oldest';
+    this.retryDelay = options.retryDelay || 1000;
+    this.maxRetryDelay = options.maxRetryDelay || 5 * 60 * 1000;
+
+    this.db = null;
+    this.ready = null;
+    this.memory = [];
+    this.nextMemoryId = 1;
+    this.size = 0;
+    this.failures = 0;
+    this.retryTimer = null;
+    this.isFlushing = false;
+    this.sending = null;
+    this.handlers = {};
+  }
+
+  /**
+   * Opens the stored queue and sends batches left over from earlier page loads
+   * @returns {Promise<void>}
+   */
+  start() {
+    if (this.ready) return this.ready;
+
+    // Coming back online retries at once instead of waiting out the backoff
+    this.handlers.online = () => {
+      if (this.retryTimer) {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+      }
+      this.failures = 0;
+      this.flush();
+    };
+    globalThis.addEventListener('online', this.handlers.online);
+
+    this.ready = openDatabase().then(async (db) => {
+      this.db = db;
+      if (db) {
+        const records = await this.readAll();
+        this.size = records.reduce((total, record) => total + record.size, 0);
+      }
+    });
+
+    return this.ready.then(() => this.flush());
+  }
+
+  /**
+   * Stops retrying; batches still queued are sent on the next page load
+   */
+  stop() {
+    if (this.handlers.online) {
+      globalThis.removeEventListener('online', this.handlers.online);
+    }
+    this.handlers = {};
+
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+  }
+
+  /**
+   * Runs a request against the batch store
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} fn - Called with the object store, returns an IDBRequest
+   * @returns {Promise<*>}
+   */
+  transaction(mode, fn) {
+    const store = this.db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+    return requestToPromise(fn(store));
+  }
+
+  /**
+   * Reads every queued batch, oldest first
+   * @returns {Promise<object[]>}
+   */
+  async readAll() {
+    if (!this.db) return [...this.memory];
+    return this.transaction('readonly', store => store.getAll());
+  }
+
+  /**
+   * Reads the oldest queued batch
+   * @returns {Promise<object|null>}
+   */
+  async readOldest() {
+    if (!this.db) return this.memory[0] || null;
+
+    const cursor = await this.transaction('readonly', store => store.openCursor());
+    return cursor ? cursor.value : null;
+  }
+
+  /**
+   * Removes a batch from the queue
+   * @param {object} record
+   */
+  async remove(record) {
+    if (this.db) {
+      await this.transaction('readwrite', store => store.delete(record.id));
+    } else {
+      this.memory = this.memory.filter(entry => entry.id !== record.id);
+    }
+    this.size = Math.max(0, this.size - record.size);
+  }
+
+  /**
+   * Drops every queued batch, including those of earlier page loads, and waits
+   * for a send in progress. Works without start(), which would send the queue
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+
+    this.ready ||= openDatabase().then((db) => {
+      this.db = db;
+    });
+    await this.ready;
+
+    try {
+      if (this.db) {
+        await this.transaction('readwrite', store => store.clear());
+      }
+    } catch (error) {
+      console.warn('[Webvisor] Failed to clear event queue:', error.message);
+    }
+    this.memory = [];
+    this.size = 0;
+
+    await this.sending;
+  }
+
+  /**
+   * Adds an encoded batch and starts sending it
+   * @param {string} body - Encoded batch
+   * @returns {Promise<boolean>} Whether the batch was queued
+   */
+  async enqueue(body) {
+    await this.ready;
+
+    const size = new Blob([body]).size;
+    if (size > this.maxSize) {
+      console.warn('[Webvisor] Batch larger than the queue, dropped');
+      return false;
+    }
+
+    // Make room by the drop policy
+    while (this.size + size > this.maxSize) {
+      if (this.dropPolicy === 'newest') {
+        console.warn('[Webvisor] Event queue full, dropped the newest batch');
+        return false;
+      }
+
+      const oldest = await this.readOldest();
+      if (!oldest) break;
+      await this.remove(oldest);
+      console.warn('[Webvisor] Event queue full, dropped the oldest batch');
+    }
+
+    const record = { body, size, createdAt: Date.now() };
+    try {
+      if (this.db) {
+        record.id = await this.transaction('readwrite', store => store.add(record));
+      } else {
+        record.id = this.nextMemoryId++;
+        this.memory.push(record);
+      }
+      this.size += size;
+    } catch (error) {
+      // A full disk quota loses the batch instead of the page
+      console.warn('[Webvisor] Failed to queue batch:', error.message);
+      return false;
+    }
+
+    await this.flush();
+    return true;
+  }
+
+  /**
+   * Sends queued batches in order until the queue is empty or a send fails
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await this.ready;
+    if (this.isFlushing || this.retryTimer) return;
+
+    // Only one tab sends the shared queue at a time
+    if (this.db && typeof navigator !== 'undefined' && navigator.locks) {
+      await navigator.locks.request(`${DB_NAME}-${STORE_NAME}`, { ifAvailable: true }, lock => (
+        lock ? (this.sending = this.sendAll()) : null
+      ));
+    } else {
+      await (this.sending = this.sendAll());
+    }
+  }
+
+  /**
+   * Sends queued batches one at a time
+   * @returns {Promise<void>}
+   */
+  async sendAll() {
+    this.isFlushing = true;
+
+    try {
+      let record;
+      while ((record = await this.readOldest())) {
+        const status = await this.send(record.body);
+
+        if (status >= 200 && status < 300) {
+          this.failures = 0;
+          await this.remove(record);
+        } else if (isRetryable(status)) {
+          this.scheduleRetry();
+          console.warn('[Webvisor] Failed to send batch:', status || 'network error');
+          break;
+        } else {
+          // The server rejected the batch itself; sending it again cannot succeed
+          await this.remove(record);
+          console.warn('[Webvisor] Batch rejected, dropped:', status);
+        }
+      }
+    } catch (error) {
+      console.warn('[Webvisor] Event queue error:', error.message);
+    } finally {
+      this.isFlushing = false;
+      this.sending = null;
+    }
+  }
+
+  /**
+   * Schedules the next flush with exponential backoff and jitter
+   */
+  scheduleRetry() {
+    this.failures++;
+
+    const delay = Math.min(this.maxRetryDelay, this.retryDelay * 2 ** (this.failures - 1));
+
+    // Jitter keeps many clients from retrying in lockstep after an outage
+    const jittered = delay / 2 + Math.random() * delay / 2;
+
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.flush();
+    }, jittered);
+  }
+}
+
+export default EventQueue;
@@ -0,0 +1,248 @@
+/**
+ * Privacy Engine - Exclusion and masking rules shared by every recorder
+ * @module PrivacyEngine
+ */
+
+import { SENSITIVE_INPUT_TYPES, SENSITIVE_NAME_PATTERNS } from '../shared/constants.js';
+
+// Marks inputs whose values are masked, and subtrees whose text is masked
+const MASK_ATTRIBUTE = 'data-ym-mask';
+const MASK_TEXT_ATTRIBUTE = 'data-ym-mask-text';
+
+/**
+ * Gets the element a node belongs to: itself, its parent, or the host of its shadow root
+ * @param {Node} node
+ * @returns {Element|null}
+ */
+function getOwnerElement(node) {
+  if (!node) return null;
+  if (node.nodeType === Node.ELEMENT_NODE) return /** @type {Element} */ (node);
+  return node.parentElement || node.parentNode?.host || null;
+}
+
+/**
+ * Checks if an element or one of its ancestors has an attribute, across shadow roots
+ * @param {Element|null} element
+ * @param {string} attribute
+ * @returns {boolean}
+ */
+function hasAncestorAttribute(element, attribute) {
+  let current = element;
+  while (current) {
+    if (current.closest(`[${attribute}]`)) {
+      return true;
+    }
+    current = current.getRootNode().host || null;
+  }
+  return false;
+}
+
+/**
+ * PrivacyEngine class - Decides what is excluded, blocked or masked, the same way for
+ * snapshots, mutations and events
+ */
+export class PrivacyEngine {
+  /**
+   * @param {object} options
+   * @param {boolean} options.maskAllInputs - Mask all input values
+   * @param {boolean} options.maskSensitiveInputs - Auto-mask sensitive inputs
+   * @param {boolean} options.maskAllText - Mask all text content
+   * @param {string} options.excludeAttribute - Attribute to mark excluded elements
+   * @param {string} options.blockAttribute - Attribute to mark blocked elements
+   * @param {string} options.blockSelector - CSS selectors of more blocked elements
+   */
+  constructor(options = {}) {
+    this.maskAllInputs = options.maskAllInputs || false;
+    this.maskSensitiveInputs = options.maskSensitiveInputs !== false;
+    this.maskAllText = options.maskAllText || false;
+    this.excludeAttribute = options.excludeAttribute || 'data-ym-disable';
+    this.blockAttribute = options.blockAttribute || 'data-ym-block';
+    this.blockQuery = `[${this.blockAttribute}]`;
+
+    if (options.blockSelector) {
+      try {
+        // Invalid selectors would throw on every check
+        document.createDocumentFragment().querySelector(options.blockSelector);
+        this.blockQuery += `, ${options.blockSelector}`;
+      } catch (error) {
+        console.warn('[Webvisor] Invalid blockSelector, ignored:', options.blockSelector);
+      }
+    }
+  }
+
+  /**
+   * Checks if an element should be excluded from recording
+   * @param {Element} element
+   * @returns {boolean}
+   */
+  isExcluded(element) {
+    if (!element || element.nodeType !== Node.ELEMENT_NODE) {
+      return false;
+    }
+    return hasAncestorAttribute(element, this.excludeAttribute);
+  }
+
+  /**
+   * Checks if an element itself is blocked: recorded as an empty placeholder of its size
+   * @param {Element} element
+   * @returns {boolean}
+   */
+  matchesBlock(element) {
+    return element.nodeType === Node.ELEMENT_NODE && element.matches(this.blockQuery);
+  }
+
+  /**
+   * Gets the blocked element a node is part of, across shadow roots
+   * @param {Node} node
+   * @returns {Element|null} The nearest blocked element, or null when the node is not blocked
+   */
+  getBlockedElement(node) {
+    let current = getOwnerElement(node);
+    while (current) {
+      const blocked = current.closest(this.blockQuery);
+      if (blocked) {
+        return blocked;
+      }
+      current = current.getRootNode().host || null;
+    }
+    return null;
+  }
+
+  /**
+   * Checks if a node is a blocked element or inside one, so its content is not recorded
+   * @param {Node} node
+   * @returns {boolean}
+   */
+  isBlocked(node) {
+    return this.getBlockedElement(node) !== null;
+  }
+
+  /**
+   * Determines if the value of a form field should be masked
+   * @param {Element} element
+   * @returns {boolean}
+   */
+  isInputMasked(element) {
+    if (this.maskAllInputs) {
+      return true;
+    }
+
+    // Explicit masking attribute, on the field or around it
+    if (hasAncestorAttribute(element, MASK_ATTRIBUTE)) {
+      return true;
+    }
+
+    if (!this.maskSensitiveInputs) {
+      return false;
+    }
+
+    // Check input type (tag name check also works for elements in iframes)
+    if (element.tagName === 'INPUT') {
+      const inputType = (element.type || '').toLowerCase();
+      if (SENSITIVE_INPUT_TYPES.includes(inputType)) {
+        return true;
+      }
+
+      // Check autocomplete attribute
+      const autocomplete = element.autocomplete?.toLowerCase() || '';
+      if (SENSITIVE_INPUT_TYPES.some(t => autocomplete.includes(t))) {
+        return true;
+      }
+    }
+
+    // Check name attribute against sensitive patterns
+    const name = element.name || '';
+    const id = element.id || '';
+    const placeholder = element.placeholder || '';
+
+    return SENSITIVE_NAME_PATTERNS.some(pattern =>
+      pattern.test(name) || pattern.test(id) || pattern.test(placeholder)
+    );
+  }
+
+  /**
+   * Determines if the text of a node should be masked
+   * @param {Node} node - Text node, or element whose text is read
+   * @returns {boolean}
+   */
+  isTextMasked(node) {
+    const element = getOwnerElement(node);
+    if (!element) return this.maskAllText;
+
+    // Stylesheet text is page styling, not content
+    if (element.tagName === 'STYLE') return false;
+
+    if (this.maskAllText) return true;
+
+    // The text of a textarea is its default value
+    if (element.tagName === 'TEXTAREA' && this.isInputMasked(element)) {
+      return true;
+    }
+
+    return hasAncestorAttribute(element, MASK_TEXT_ATTRIBUTE);
+  }
+
+  /**
+   * Masks a form field value for privacy
+   * @param {string} value
+   * @returns {string}
+   */
+  maskValue(value) {
+    if (!value) return '';
+    return '*'.repeat(Math.min(value.length, 20));
+  }
+
+  /**
+   * Masks text, keeping its length and whitespace so the replayed layout matches
+   * @param {string} text
+   * @returns {string}
+   */
+  maskText(text) {
+    return text ? text.replace(/\S/g, '*') : text;
+  }
+
+  /**
+   * Gets the value of a form field as it may be recorded
+   * @param {Element} element
+   * @param {string} value
+   * @returns {string}
+   */
+  getInputValue(element, value) {
+    return this.isInputMasked(element) ? this.maskValue(value) : value;
+  }
+
+  /**
+   * Gets the text of a node as it may be recorded
+   * @param {Node} node
+   * @param {string} [text] - Defaults to the node's textContent
+   * @returns {string}
+   */
+  getText(node, text = node.textContent) {
+    if (!text) return text;
+    return this.isTextMasked(node) || this.hasMaskedDescendant(node) ? this.maskText(text) : text;
+  }
+
+  /**
+   * Gets the title of a document as it may be recorded
+   * @param {Document} [doc]
+   * @returns {string}
+   */
+  getTitle(doc = document) {
+    const element = doc.querySelector('title');
+    return element ? this.getText(element, doc.title) : doc.title;
+  }
+
+  /**
+   * Checks for masked text inside an element, which its textContent would leak
+   * @param {Node} node
+   * @returns {boolean}
+   */
+  hasMaskedDescendant(node) {
+    if (node.nodeType !== Node.ELEMENT_NODE) return false;
+
+    const candidates = node.querySelectorAll(`[${MASK_TEXT_ATTRIBUTE}], textarea`);
+    return Array.from(candidates).some(element => this.isTextMasked(element));
+  }
+}
+
+export default PrivacyEngine;
@@ -0,0 +1,868 @@
+/**
+ * Replay Player - Rebuilds recorded sessions inside a sandboxed iframe
+ * @module ReplayPlayer
+ */
+
+import {
+  EventType,
+  MutationType,
+  StyleSheetAction,
+  PointerAction,
+  TouchAction,
+  getPlaceholderStyle
+} from '../shared/constants.js';
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+const XLINK_NAMESPACE = 'http://www.w3.org/1999/xlink';
+
+/**
+ * Checks if an attribute could execute code in the replay document
+ * @param {string} name
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isUnsafeAttribute(name, value) {
+  if (/^on/i.test(name)) {
+    return true;
+  }
+  return /^(href|src|action|formaction)$/i.test(name) &&
+    /^\s*javascript:/i.test(value || '');
+}
+
+/**
+ * Sets an attribute on a rebuilt element, skipping unsafe and invalid ones
+ * @param {Element} element
+ * @param {string} name
+ * @param {string} value
+ */
+function setAttribute(element, name, value) {
+  if (isUnsafeAttribute(name, value)) return;
+
+  try {
+    if (name.startsWith('xlink:')) {
+      element.setAttributeNS(XLINK_NAMESPACE, name, value);
+    } else {
+      element.setAttribute(name, value);
+    }
+  } catch (error) {
+    // Invalid attribute names cannot be replayed
+  }
+}
+
+/**
+ * Rebuilds a DOM node from its serialized form
+ * @param {object} serialized - Node produced by serializeNode
+ * @param {Document} doc - Document that will own the node
+ * @param {Map<number, Node>} nodeMap - Registry of rebuilt nodes by recorded ID
+ * @param {boolean} [inSVG] - Whether the parent is an SVG element
+ * @param {object[]} [pending] - Collects shadow roots, frame documents and scroll offsets
+ *   that can only be applied once the node is in the replay document
+ * @returns {Node|null}
+ */
+function buildNode(serialized, doc, nodeMap, inSVG = false, pending = []) {
+  if (!serialized) return null;
+
+  let node;
+
+  switch (serialized.type) {
+    case Node.TEXT_NODE:
+      node = doc.createTextNode(serialized.text || '');
+      break;
+
+    case Node.COMMENT_NODE:
+      node = doc.createComment(serialized.text || '');
+      break;
+
+    case Node.ELEMENT_NODE: {
+      const tagName = serialized.name.toLowerCase();
+
+      // Scripts never run in the replay; keep a comment to hold their position
+      if (tagName === 'script') {
+        node = doc.createComment('script');
+        break;
+      }
+
+      // Recorded CSSOM rules replace the stylesheet's markup and source URL
+      if (serialized.cssRules && (tagName === 'style' || tagName === 'link')) {
+        const style = doc.createElement('style');
+        if (tagName === 'style') {
+          for (const [name, value] of Object.entries(serialized.attrs || {})) {
+            setAttribute(style, name, value);
+          }
+        }
+        if (serialized.attrs?.media) {
+          style.setAttribute('media', serialized.attrs.media);
+        }
+        style.textContent = serialized.cssRules.join('\n');
+        node = style;
+        break;
+      }
+
+      const isSVG = inSVG || tagName === 'svg';
+      const element = isSVG
+        ? doc.createElementNS(SVG_NAMESPACE, serialized.name)
+        : doc.createElement(tagName);
+
+      if (serialized.attrs) {
+        for (const [name, value] of Object.entries(serialized.attrs)) {
+          // A recorded frame document is written in place of the frame's source
+          if (serialized.contentDocument && (name === 'src' || name === 'srcdoc')) continue;
+          setAttribute(element, name, value);
+        }
+      }
+
+      // Blocked elements are an empty box of their recorded size
+      if (serialized.blocked) {
+        element.setAttribute('style', getPlaceholderStyle(serialized.attrs?.style, serialized.blocked));
+      }
+
+      if (serialized.shadowRoot || serialized.contentDocument || serialized.scrollTop !== undefined) {
+        pending.push({
+          host: element,
+          shadowRoot: serialized.shadowRoot,
+          contentDocument: serialized.contentDocument,
+          scroll: serialized.scrollTop !== undefined
+            ? { top: serialized.scrollTop, left: serialized.scrollLeft || 0 }
+            : null
+        });
+      }
+
+      if (serialized.children) {
+        const childInSVG = isSVG && tagName !== 'foreignobject';
+        for (const child of serialized.children) {
+          const childNode = buildNode(child, doc, nodeMap, childInSVG, pending);
+          if (childNode) {
+            element.appendChild(childNode);
+          }
+        }
+      }
+
+      if (serialized.value !== undefined) {
+        element.value = serialized.value;
+      }
+      if (serialized.checked !== undefined) {
+        element.checked = serialized.checked;
+      }
+      if (serialized.selectedIndex !== undefined) {
+        element.selectedIndex = serialized.selectedIndex;
+      }
+
+      node = element;
+      break;
+    }
+
+    default:
+      return null;
+  }
+
+  if (serialized.id !== undefined) {
+    nodeMap.set(serialized.id, node);
+  }
+
+  return node;
+}
+
+/**
+ * ReplayPlayer class - Plays back a recorded session
+ */
+export class ReplayPlayer {
+  /**
+   * @param {object} options
+   * @param {HTMLElement} options.container - Element the player is mounted into
+   * @param {object[]} options.events - Recorded session events
+   * @param {number} [options.speed] - Playback speed multiplier
+   * @param {Function} [options.onProgress] - Called with the current time in ms
+   * @param {Function} [options.onEnd] - Called when playback reaches the end
+   */
+  constructor(options = {}) {
+    this.container = options.container;
+    this.events = [...(options.events || [])].sort((a, b) => a.timestamp - b.timestamp);
+    this.speed = options.speed || 1;
+    this.onProgress = options.onProgress || (() => {});
+    this.onEnd = options.onEnd || (() => {});
+
+    this.startTime = this.events.length > 0 ? this.events[0].timestamp : 0;
+    this.endTime = this.events.length > 0 ? this.events[this.events.length - 1].timestamp : 0;
+
+    this.currentTime = 0;
+    this.eventIndex = 0;
+    this.isPlaying = false;
+    this.frameId = null;
+    this.lastFrameTime = 0;
+
+    this.nodeMap = new Map();
+    this.sheetMap = new Map();
+    this.viewport = { width: 1024, height: 768 };
+
+    this.mount();
+    this.seek(0);
+  }
+
+  /**
+   * Creates the iframe, cursor and overlay elements
+   */
+  mount() {
+    const doc = this.container.ownerDocument;
+
+    this.wrapper = doc.createElement('div');
+    this.wrapper.style.cssText = 'position:relative;overflow:hidden;transform-origin:0 0;';
+
+    this.iframe = doc.createElement('iframe');
+    this.iframe.setAttribute('sandbox', 'allow-same-origin');
+    this.iframe.style.cssText = 'border:0;width:100%;height:100%;background:#fff;';
+
+    this.overlay = doc.createElement('div');
+    this.overlay.style.cssText = 'position:absolute;inset:0;pointer-events:none;';
+
+    this.cursor = doc.createElement('div');
+    this.cursor.style.cssText =
+      'position:absolute;width:12px;height:12px;margin:-6px 0 0 -6px;' +
+      'border-radius:50%;background:rgba(220,38,38,0.8);' +
+      'box-shadow:0 0 0 2px #fff;display:none;';
+
+    this.overlay.appendChild(this.cursor);
+    this.wrapper.appendChild(this.iframe);
+    this.wrapper.appendChild(this.overlay);
+    this.container.appendChild(this.wrapper);
+  }
+
+  /**
+   * Gets total session duration in ms
+   * @returns {number}
+   */
+  getDuration() {
+    return this.endTime - this.startTime;
+  }
+
+  /**
+   * Gets current playback position in ms
+   * @returns {number}
+   */
+  getCurrentTime() {
+    return this.currentTime;
+  }
+
+  /**
+   * Sets playback speed
+   * @param {number} speed
+   */
+  setSpeed(speed) {
+    this.speed = speed;
+  }
+
+  /**
+   * Starts or resumes playback
+   */
+  play() {
+    if (this.isPlaying) return;
+
+    if (this.currentTime >= this.getDuration()) {
+      this.seek(0);
+    }
+
+    this.isPlaying = true;
+    this.lastFrameTime = performance.now();
+
+    const tick = (now) => {
+      if (!this.isPlaying) return;
+
+      this.currentTime = Math.min(
+        this.currentTime + Math.max(0, now - this.lastFrameTime) * this.speed,
+        this.getDuration()
+      );
+      this.lastFrameTime = now;
+
+      this.applyUntil(this.startTime + this.currentTime, false);
+      this.onProgress(this.currentTime);
+
+      if (this.currentTime >= this.getDuration()) {
+        this.pause();
+        this.onEnd();
+        return;
+      }
+
+      this.frameId = requestAnimationFrame(tick);
+    };
+
+    this.frameId = requestAnimationFrame(tick);
+  }
+
+  /**
+   * Pauses playback
+   */
+  pause() {
+    this.isPlaying = false;
+
+    if (this.frameId) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+  }
+
+  /**
+   * Jumps to a position in the session
+   * @param {number} time - Offset from session start in ms
+   */
+  seek(time) {
+    const target = this.startTime + Math.max(0, Math.min(time, this.getDuration()));
+
+    // Rebuild from the last snapshot or checkpoint at or before the target time
+    let snapshotIndex = -1;
+    for (let i = 0; i < this.events.length; i++) {
+      if (this.events[i].timestamp > target) break;
+      if (this.events[i].type === EventType.DOM_SNAPSHOT) {
+        snapshotIndex = i;
+      }
+    }
+
+    this.eventIndex = snapshotIndex === -1 ? 0 : snapshotIndex;
+
+    // Before the first snapshot, show it early rather than a blank page
+    if (snapshotIndex === -1) {
+      const firstSnapshot = this.events.findIndex(e => e.type === EventType.DOM_SNAPSHOT);
+      if (firstSnapshot !== -1) {
+        this.applySnapshot(this.events[firstSnapshot].data);
+        this.eventIndex = firstSnapshot + 1;
+      }
+    }
+
+    this.currentTime = target - this.startTime;
+    this.applyUntil(target, true);
+    this.onProgress(this.currentTime);
+  }
+
+  /**
+   * Applies all pending events up to a timestamp
+   * @param {number} timestamp
+   * @param {boolean} isSeeking - Skips transient effects like click ripples
+   */
+  applyUntil(timestamp, isSeeking) {
+    while (this.eventIndex < this.events.length &&
+           this.events[this.eventIndex].timestamp <= timestamp) {
+      this.applyEvent(this.events[this.eventIndex], isSeeking);
+      this.eventIndex++;
+    }
+  }
+
+  /**
+   * Applies a single recorded event to the replay
+   * @param {object} event
+   * @param {boolean} isSeeking
+   */
+  applyEvent(event, isSeeking) {
+    const data = event.data || {};
+
+    switch (event.type) {
+      case EventType.DOM_SNAPSHOT:
+        // Checkpoints repeat the live DOM; they are only needed as seek targets
+        if (data.checkpoint && !isSeeking && this.nodeMap.size > 0) break;
+        this.applySnapshot(data);
+        break;
+
+      case EventType.DOM_MUTATION:
+        this.applyMutation(data);
+        break;
+
+      case EventType.MOUSE_MOVE:
+        this.moveCursor(data.x, data.y);
+        break;
+
+      case EventType.MOUSE_CLICK:
+        this.moveCursor(data.x, data.y);
+        if (!isSeeking) {
+          this.showClick(data.x, data.y);
+        }
+        break;
+
+      case EventType.SCROLL:
+        this.applyScroll(data);
+        break;
+
+      case EventType.POINTER:
+        this.moveCursor(data.x, data.y);
+        if (data.action === PointerAction.DOWN && data.pointerType !== 'mouse') {
+          this.showClick(data.x, data.y);
+        }
+        break;
+
+      case EventType.TOUCH:
+        if (data.action === TouchAction.LONG_PRESS) {
+          this.moveCursor(data.x, data.y);
+          this.showClick(data.x, data.y);
+        } else if (data.touches?.length) {
+          this.moveCursor(data.touches[0].x, data.touches[0].y);
+        }
+        break;
+
+      case EventType.VISUAL_VIEWPORT:
+        this.setZoom(data.scale, data.offsetLeft, data.offsetTop);
+        break;
+
+      case EventType.RESIZE:
+        this.setViewport(data.width, data.height);
+        break;
+
+      case EventType.INPUT:
+        this.applyInput(data);
+        break;
+
+      case EventType.STYLE_SHEET_RULE:
+        this.applyStyleSheetRule(data);
+        break;
+
+      case EventType.ADOPTED_STYLE_SHEETS:
+        this.applyAdoptedStyleSheets(
+          data.ownerId === null || data.ownerId === undefined
+            ? this.iframe.contentDocument
+            : this.nodeMap.get(data.ownerId),
+          data.sheets
+        );
+        break;
+    }
+  }
+
+  /**
+   * Replaces the iframe document with a snapshot
+   * @param {object} data - DOM_SNAPSHOT event data
+   */
+  applySnapshot(data) {
+    const doc = this.iframe.contentDocument;
+    if (!doc) return;
+
+    this.nodeMap = new Map();
+    this.sheetMap = new Map();
+
+    if (data.viewport) {
+      this.setViewport(data.viewport.width, data.viewport.height);
+    }
+
+    const zoom = data.visualViewport || { scale: 1, offsetLeft: 0, offsetTop: 0 };
+    this.setZoom(zoom.scale, zoom.offsetLeft, zoom.offsetTop);
+
+    this.buildDocument(doc, data);
+
+    if (data.scroll) {
+      this.iframe.contentWindow?.scrollTo(data.scroll.x, data.scroll.y);
+    }
+  }
+
+  /**
+   * Writes a recorded document into a replay document
+   * @param {Document} doc - Replay iframe document or a nested frame's document
+   * @param {object} data - Snapshot data or a recorded frame document
+   */
+  buildDocument(doc, data) {
+    doc.open();
+    doc.write(data.doctype ? `<!DOCTYPE ${data.doctype.name}>` : '');
+    doc.close();
+
+    const pending = [];
+    const html = buildNode(data.html, doc, this.nodeMap, false, pending);
+    if (html && doc.documentElement) {
+      doc.replaceChild(html, doc.documentElement);
+    } else if (html) {
+      doc.appendChild(html);
+    }
+
+    if (data.id !== undefined) {
+      this.nodeMap.set(data.id, doc);
+    }
+
+    // Resolve relative URLs against the recorded page; srcdoc frames inherit it
+    if (data.url && !data.url.startsWith('about:') && doc.head) {
+      const base = doc.createElement('base');
+      base.href = data.url;
+      doc.head.insertBefore(base, doc.head.firstChild);
+    }
+
+    if (data.adoptedStyleSheets?.length) {
+      this.applyAdoptedStyleSheets(doc, data.adoptedStyleSheets);
+    }
+
+    this.attachPending(pending);
+  }
+
+  /**
+   * Applies the parts of rebuilt nodes that need them to be in the replay document
+   * @param {object[]} pending - Entries collected by buildNode
+   */
+  attachPending(pending) {
+    for (const { host, shadowRoot, contentDocument } of pending) {
+      if (shadowRoot) {
+        this.buildShadowRoot(host, shadowRoot);
+      }
+
+      // Frame documents only exist once the iframe is connected
+      if (contentDocument && host.isConnected && host.contentDocument) {
+        this.buildDocument(host.contentDocument, contentDocument);
+      }
+    }
+
+    // Scroll last, once nested content gives containers their full size
+    for (const { host, scroll } of pending) {
+      if (scroll) {
+        host.scrollTop = scroll.top;
+        host.scrollLeft = scroll.left;
+      }
+    }
+  }
+
+  /**
+   * Rebuilds a recorded open shadow root
+   * @param {Element} host
+   * @param {object} data - Recorded shadow root
+   */
+  buildShadowRoot(host, data) {
+    let shadowRoot = host.shadowRoot;
+
+    if (!shadowRoot) {
+      try {
+        shadowRoot = host.attachShadow({ mode: 'open' });
+      } catch (error) {
+        // Elements that cannot host a shadow root keep their light DOM only
+        return;
+      }
+    }
+
+    const pending = [];
+    const doc = host.ownerDocument;
+    const inSVG = host.namespaceURI === SVG_NAMESPACE;
+    shadowRoot.replaceChildren(...(data.children || [])
+      .map(child => buildNode(child, doc, this.nodeMap, inSVG, pending))
+      .filter(Boolean));
+
+    if (data.id !== undefined) {
+      this.nodeMap.set(data.id, shadowRoot);
+    }
+    if (data.adoptedStyleSheets?.length) {
+      this.applyAdoptedStyleSheets(shadowRoot, data.adoptedStyleSheets);
+    }
+
+    this.attachPending(pending);
+  }
+
+  /**
+   * Applies a STYLE_SHEET_RULE event
+   * @param {object} data
+   */
+  applyStyleSheetRule(data) {
+    const sheet = data.ownerId !== undefined
+      ? this.nodeMap.get(data.ownerId)?.sheet
+      : this.sheetMap.get(data.sheetId);
+    if (!sheet) return;
+
+    try {
+      switch (data.action) {
+        case StyleSheetAction.INSERT_RULE:
+          sheet.insertRule(data.rule, data.index);
+          break;
+
+        case StyleSheetAction.DELETE_RULE:
+          sheet.deleteRule(data.index);
+          break;
+
+        case StyleSheetAction.REPLACE:
+          sheet.replaceSync(data.text);
+          break;
+      }
+    } catch (error) {
+      // Rules the replay browser rejects are skipped
+    }
+  }
+
+  /**
+   * Sets the constructed stylesheets adopted by a document or shadow root
+   * @param {Document|ShadowRoot} root
+   * @param {object[]} sheets - Sheet IDs, with rules for sheets not seen before
+   */
+  applyAdoptedStyleSheets(root, sheets) {
+    const win = this.iframe.contentWindow;
+    if (!root || !win || !('adoptedStyleSheets' in root)) return;
+
+    root.adoptedStyleSheets = sheets.map(({ id, rules }) => {
+      let sheet = this.sheetMap.get(id);
+
+      if (!sheet) {
+        sheet = new win.CSSStyleSheet();
+        this.sheetMap.set(id, sheet);
+      }
+      if (rules) {
+        sheet.replaceSync(rules.join('\n'));
+      }
+
+      return sheet;
+    });
+  }
+
+  /**
+   * Finds the replay node a recorded event refers to
+   * @param {number} [id]
+   * @param {string} [selector]
+   * @returns {Node|null}
+   */
+  resolveNode(id, selector) {
+    if (id !== undefined && this.nodeMap.has(id)) {
+      return this.nodeMap.get(id);
+    }
+
+    if (selector) {
+      try {
+        return this.iframe.contentDocument?.querySelector(selector) || null;
+      } catch (error) {
+        return null;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Applies a DOM_MUTATION event
+   * @param {object} data
+   */
+  applyMutation(data) {
+    const doc = this.iframe.contentDocument;
+    if (!doc) return;
+
+    // Batches address every node by ID and have no single target
+    if (data.mutationType === MutationType.BATCH) {
+      this.removeNodes(data.removes);
+      this.addNodes(data.adds, null);
+
+      for (const { id, attrs } of data.attributes || []) {
+        const element = this.nodeMap.get(id);
+        if (element?.nodeType !== Node.ELEMENT_NODE) continue;
+
+        for (const [name, value] of Object.entries(attrs)) {
+          this.setNodeAttribute(element, name, value);
+        }
+      }
+
+      for (const { id, text } of data.texts || []) {
+        const node = this.nodeMap.get(id);
+        if (node) {
+          node.textContent = text;
+        }
+      }
+      return;
+    }
+
+    const target = this.resolveNode(data.targetId, data.targetSelector);
+    if (!target) return;
+
+    switch (data.mutationType) {
+      case MutationType.CHILD_LIST:
+        this.removeNodes(data.removedNodes);
+        this.addNodes(data.addedNodes, target);
+        break;
+
+      case MutationType.ATTRIBUTES:
+        if (target.nodeType !== Node.ELEMENT_NODE) break;
+
+        this.setNodeAttribute(target, data.attributeName, data.newValue);
+        break;
+
+      case MutationType.CHARACTER_DATA:
+        target.textContent = data.newValue;
+        break;
+
+      case MutationType.ATTACH_ROOT:
+        this.attachPending([{
+          host: target,
+          shadowRoot: data.shadowRoot,
+          contentDocument: data.contentDocument
+        }]);
+        break;
+    }
+  }
+
+  /**
+   * Removes recorded nodes from the replay
+   * @param {number[]} [ids]
+   */
+  removeNodes(ids) {
+    for (const id of ids || []) {
+      const removed = this.nodeMap.get(id);
+      if (removed?.parentNode) {
+        removed.parentNode.removeChild(removed);
+      }
+      this.nodeMap.delete(id);
+    }
+  }
+
+  /**
+   * Builds and inserts added nodes
+   * @param {object[]} [entries] - Added node entries with parentId, previousId and nextId
+   * @param {Node|null} target - Parent used when an entry's parent is unknown
+   */
+  addNodes(entries, target) {
+    for (const added of entries || []) {
+      const parent = this.nodeMap.get(added.parentId) || target;
+      if (!parent) continue;
+
+      // A node still in the replay was already rebuilt by an earlier subtree
+      const inSVG = parent.namespaceURI === SVG_NAMESPACE;
+      const pending = [];
+      const node = this.nodeMap.get(added.id) ||
+        buildNode(added.node, parent.ownerDocument || parent, this.nodeMap, inSVG, pending);
+      if (node) {
+        this.nodeMap.set(added.id, node);
+        this.insertNode(parent, node, added);
+        this.attachPending(pending);
+      }
+    }
+  }
+
+  /**
+   * Sets or removes an attribute on a replayed element
+   * @param {Element} element
+   * @param {string} name
+   * @param {string|null} value - null removes the attribute
+   */
+  setNodeAttribute(element, name, value) {
+    if (value === null) {
+      element.removeAttribute(name);
+    } else {
+      setAttribute(element, name, value);
+    }
+  }
+
+  /**
+   * Inserts a node at its recorded position among its siblings
+   * @param {Node} parent
+   * @param {Node} node
+   * @param {object} added - Added node entry with previousId and nextId
+   */
+  insertNode(parent, node, added) {
+    const next = this.nodeMap.get(added.nextId);
+    if (next && next.parentNode === parent && next !== node) {
+      parent.insertBefore(node, next);
+      return;
+    }
+
+    const previous = this.nodeMap.get(added.previousId);
+    if (previous && previous.parentNode === parent && previous !== node) {
+      parent.insertBefore(node, previous.nextSibling);
+      return;
+    }
+
+    parent.appendChild(node);
+  }
+
+  /**
+   * Applies a SCROLL event to the viewport or a scroll container
+   * @param {object} data
+   */
+  applyScroll(data) {
+    if (data.scrollTop === undefined) {
+      this.iframe.contentWindow?.scrollTo(data.x, data.y);
+      return;
+    }
+
+    const element = this.resolveNode(data.nodeId, data.selector);
+    if (element) {
+      element.scrollTop = data.scrollTop;
+      element.scrollLeft = data.scrollLeft;
+    }
+  }
+
+  /**
+   * Applies an INPUT event to the matching form field
+   * @param {object} data
+   */
+  applyInput(data) {
+    const element = this.resolveNode(data.nodeId, data.selector);
+    if (!element || data.action) return;
+
+    if (data.checked !== undefined) {
+      element.checked = data.checked;
+    } else if (data.selectedIndex !== undefined) {
+      element.selectedIndex = data.selectedIndex;
+    } else if (data.value !== undefined) {
+      element.value = data.value;
+    }
+  }
+
+  /**
+   * Resizes the replay viewport and scales it to fit the container
+   * @param {number} width
+   * @param {number} height
+   */
+  setViewport(width, height) {
+    this.viewport = { width, height };
+    this.wrapper.style.width = `${width}px`;
+    this.wrapper.style.height = `${height}px`;
+
+    const available = this.container.clientWidth || width;
+    const scale = Math.min(1, available / width);
+    this.wrapper.style.transform = `scale(${scale})`;
+  }
+
+  /**
+   * Zooms the replay to the recorded visual viewport, as after a pinch-zoom
+   * @param {number} scale
+   * @param {number} offsetLeft - Visual viewport offset within the layout viewport
+   * @param {number} offsetTop
+   */
+  setZoom(scale, offsetLeft, offsetTop) {
+    const transform = scale && scale !== 1
+      ? `translate(${-offsetLeft * scale}px,${-offsetTop * scale}px) scale(${scale})`
+      : '';
+
+    // The overlay zooms with the page so the cursor stays over the same content
+    for (const element of [this.iframe, this.overlay]) {
+      element.style.transformOrigin = '0 0';
+      element.style.transform = transform;
+    }
+  }
+
+  /**
+   * Moves the replay cursor
+   * @param {number} x - Viewport X
+   * @param {number} y - Viewport Y
+   */
+  moveCursor(x, y) {
+    this.cursor.style.display = 'block';
+    this.cursor.style.left = `${x}px`;
+    this.cursor.style.top = `${y}px`;
+  }
+
+  /**
+   * Draws a fading ripple where a click happened
+   * @param {number} x - Viewport X
+   * @param {number} y - Viewport Y
+   */
+  showClick(x, y) {
+    const ripple = this.overlay.ownerDocument.createElement('div');
+    ripple.style.cssText =
+      `position:absolute;left:${x}px;top:${y}px;width:30px;height:30px;` +
+      'margin:-15px 0 0 -15px;border-radius:50%;border:2px solid rgba(220,38,38,0.8);';
+
+    this.overlay.appendChild(ripple);
+
+    const animation = ripple.animate(
+      [
+        { transform: 'scale(0.3)', opacity: 1 },
+        { transform: 'scale(1.5)', opacity: 0 }
+      ],
+      { duration: 600, easing: 'ease-out' }
+    );
+    animation.onfinish = () => ripple.remove();
+  }
+
+  /**
+   * Stops playback and removes the player from the container
+   */
+  destroy() {
+    this.pause();
+    this.wrapper.remove();
+    this.nodeMap.clear();
+  }
+}
+
+// Export for browser use
+if (typeof window !== 'undefined') {
+  window.ReplayPlayer = ReplayPlayer;
+}
+
+export default ReplayPlayer;
@@ -0,0 +1,297 @@
+/**
+ * Transport - Batches, encodes, compresses and sends events to the server
+ * @module Transport
+ */
+
+import { EventQueue } from './EventQueue.js';
+import { isCompressionSupported, compressBody } from './compression.js';
+
+// Browsers cap the body of keepalive requests and beacons at 64 KB
+const KEEPALIVE_LIMIT = 64 * 1024;
+
+// Target size of each beacon chunk, leaving room for the batch envelope
+const BEACON_CHUNK_SIZE = 60 * 1024;
+
+// Beacons with a CORS-safelisted type need no preflight, which unloading pages cannot wait for
+const BEACON_CONTENT_TYPE = 'text/plain;charset=UTF-8';
+
+/**
+ * Transport class - Sends the events of one page load. Uses no DOM APIs, so it
+ * runs on the main thread or inside TransportWorker
+ */
+export class Transport {
+  /**
+   * @param {object} options
+   * @param {string} options.endpoint - URL that receives event batches
+   * @param {string} options.sessionId
+   * @param {number} options.page - Page number within the session
+   * @param {object} options.meta - Browser details sent with every batch
+   * @param {number} options.batchSize - Events per batch
+   * @param {number} options.batchInterval - Ms between batch sends
+   * @param {boolean} options.compression - Gzip batches when supported
+   * @param {object} options.queue - EventQueue options
+   * @param {Function} [options.onTransfer] - Called with the transfer stats after each accepted batch
+   * @param {Function} [options.onQueued] - Called once a batch is in the persistent queue, with the
+   *   number of events taken from the send queue so far
+   */
+  constructor(options = {}) {
+    this.endpoint = options.endpoint;
+    this.sessionId = options.sessionId;
+    this.page = options.page;
+    this.meta = options.meta || {};
+    this.batchSize = options.batchSize || 50;
+    this.batchInterval = options.batchInterval || 1000;
+    this.queueOptions = options.queue || {};
+    this.onTransfer = options.onTransfer || (() => {});
+    this.onQueued = options.onQueued || (() => {});
+
+    // sendQueue collects the next batch, eventQueue keeps unsent ones. takenCount is
+    // the position in the event stream of the first event in sendQueue
+    this.sendQueue = [];
+    this.takenCount = 0;
+    this.eventQueue = null;
+    this.batchTimer = null;
+
+    // Bytes of encoded batches and bytes actually sent, after compression
+    this.compressionEnabled = options.compression !== false && isCompressionSupported();
+    this.transferStats = { batches: 0, encodedBytes: 0, sentBytes: 0 };
+  }
+
+  /**
+   * Opens the persistent queue and starts the batch timer
+   */
+  start() {
+    if (this.eventQueue) return;
+
+    // Batches left over from earlier page loads are sent first
+    this.eventQueue = new EventQueue({
+      send: body => this.postBatch(body),
+      maxSize: this.queueOptions.maxSize,
+      dropPolicy: this.queueOptions.dropPolicy,
+      retryDelay: this.queueOptions.retryDelay,
+      maxRetryDelay: this.queueOptions.maxRetryDelay
+    });
+    this.eventQueue.start();
+
+    this.batchTimer = setInterval(() => {
+      this.sendBatch();
+    }, this.batchInterval);
+  }
+
+  /**
+   * Sends the remaining events; unsent ones wait for the next page load
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.batchTimer) {
+      clearInterval(this.batchTimer);
+      this.batchTimer = null;
+    }
+
+    while (this.sendQueue.length > 0) {
+      await this.sendBatch();
+    }
+    this.eventQueue?.stop();
+  }
+
+  /**
+   * Stops without sending: drops the events not sent yet, including queued
+   * batches of earlier page loads, and waits for a request in progress
+   * @returns {Promise<void>}
+   */
+  async discard() {
+    if (this.batchTimer) {
+      clearInterval(this.batchTimer);
+      this.batchTimer = null;
+    }
+
+    this.sendQueue = [];
+    await this.eventQueue?.clear();
+    this.eventQueue?.stop();
+  }
+
+  /**
+   * Adds an event to the next batch
+   * @param {object} event
+   */
+  push(event) {
+    this.sendQueue.push(event);
+
+    if (this.sendQueue.length >= this.batchSize) {
+      this.sendBatch();
+    }
+  }
+
+  /**
+   * Encodes events as a batch for the server
+   * @param {object[]} events
+   * @returns {string}
+   */
+  encodeBatch(events) {
+    return JSON.stringify({
+      sessionId: this.sessionId,
+      page: this.page,
+      events,
+      timestamp: Date.now(),
+      meta: this.meta
+    });
+  }
+
+  /**
+   * Moves the next batch of events into the persistent queue and sends it
+   */
+  async sendBatch() {
+    if (this.sendQueue.length === 0 || !this.eventQueue) return;
+
+    const batch = this.sendQueue.splice(0, this.batchSize);
+    this.takenCount += batch.length;
+    const takenCount = this.takenCount;
+
+    await this.eventQueue.enqueue(this.encodeBatch(batch));
+    this.onQueued(takenCount);
+  }
+
+  /**
+   * Drops the events up to a position in the event stream, once another context has sent them
+   * @param {number} position - Events taken from the stream so far, counting the ones sent elsewhere
+   */
+  skipEvents(position) {
+    const count = Math.min(Math.max(position - this.takenCount, 0), this.sendQueue.length);
+    this.sendQueue.splice(0, count);
+    this.takenCount += count;
+  }
+
+  /**
+   * Sends every queued event while the page is hidden or unloaded
+   */
+  flushOnHide() {
+    const events = this.sendQueue.splice(0);
+    this.takenCount += events.length;
+
+    for (const body of this.beaconEvents(events)) {
+      // Chunks over the limit or the browser's beacon quota wait for the next page load
+      this.eventQueue?.enqueue(body);
+    }
+  }
+
+  /**
+   * Sends events with sendBeacon or keepalive requests, in chunks small enough for both
+   * @param {object[]} events
+   * @returns {string[]} Encoded chunks the browser did not accept
+   */
+  beaconEvents(events) {
+    const chunks = [];
+    let chunk = [];
+    let chunkSize = 0;
+
+    for (const event of events) {
+      const size = new Blob([JSON.stringify(event)]).size;
+
+      if (chunk.length > 0 && chunkSize + size > BEACON_CHUNK_SIZE) {
+        chunks.push(chunk);
+        chunk = [];
+        chunkSize = 0;
+      }
+      chunk.push(event);
+      chunkSize += size + 1;
+    }
+    if (chunk.length > 0) {
+      chunks.push(chunk);
+    }
+
+    return chunks
+      .map(events => this.encodeBatch(events))
+      .filter(body => !this.sendBeacon(body));
+  }
+
+  /**
+   * Sends an encoded batch that may outlive the page. Beacons stay plain JSON:
+   * they cannot set Content-Encoding, and an unloading page cannot wait for compression.
+   * Workers have no sendBeacon and use the keepalive request
+   * @param {string} body
+   * @returns {boolean} Whether the browser accepted the request
+   */
+  sendBeacon(body) {
+    const blob = new Blob([body], { type: BEACON_CONTENT_TYPE });
+    if (blob.size > KEEPALIVE_LIMIT) return false;
+
+    try {
+      if (navigator.sendBeacon?.(this.endpoint, blob)) {
+        return true;
+      }
+    } catch (error) {
+      // Some browsers throw instead of returning false; keepalive is tried next
+    }
+
+    try {
+      fetch(this.endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': BEACON_CONTENT_TYPE },
+        body: blob,
+        keepalive: true
+      }).catch(() => this.eventQueue?.enqueue(body));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Posts an encoded batch to the server, gzipped when the browser supports it
+   * @param {string} body
+   * @returns {Promise<number>} HTTP status, or 0 when the request failed
+   */
+  async postBatch(body) {
+    const headers = { 'Content-Type': 'application/json' };
+    const encodedBytes = new Blob([body]).size;
+    let payload = body;
+    let sentBytes = encodedBytes;
+
+    if (this.compressionEnabled) {
+      try {
+        payload = await compressBody(body);
+        sentBytes = payload.byteLength;
+        headers['Content-Encoding'] = 'gzip';
+      } catch (error) {
+        // Plain JSON still works when compression fails
+        payload = body;
+      }
+    }
+
+    try {
+      const response = await fetch(this.endpoint, {
+        method: 'POST',
+        headers,
+        body: payload,
+        // Lets small batches outlive the page; larger bodies would be rejected
+        keepalive: sentBytes <= KEEPALIVE_LIMIT
+      });
+
+      // Servers that cannot decompress get plain JSON from now on
+      if (response.status === 415 && headers['Content-Encoding']) {
+        this.compressionEnabled = false;
+        return this.postBatch(body);
+      }
+
+      if (response.ok) {
+        this.transferStats.batches++;
+        this.transferStats.encodedBytes += encodedBytes;
+        this.transferStats.sentBytes += sentBytes;
+        this.onTransfer(this.getTransferStats());
+      }
+      return response.status;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  /**
+   * Gets the byte counts of batches the server accepted
+   * @returns {{batches: number, encodedBytes: number, sentBytes: number}}
+   */
+  getTransferStats() {
+    return { ...this.transferStats };
+  }
+}
+
+export default Transport;
@@ -0,0 +1,70 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { gunzipSync } from 'node:zlib';
+
+import { EventType } from '../shared/constants.js';
+import { Transport } from './Transport.js';
+
+describe('Transport.postBatch', () => {
+  const originalFetch = globalThis.fetch;
+  const body = JSON.stringify({ sessionId: 'wv_a', page: 1, events: [{ type: EventType.CUSTOM, timestamp: 1000, data: {} }] });
+  let requests;
+  let statuses;
+
+  beforeEach(() => {
+    requests = [];
+    statuses = [];
+    globalThis.fetch = async (url, init) => {
+      requests.push(init);
+      return new Response(null, { status: statuses.shift() ?? 200 });
+    };
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  it('sends gzip bodies and counts bytes before and after compression', async () => {
+    const transport = new Transport({ endpoint: '/api/webvisor/events' });
+
+    assert.equal(await transport.postBatch(body), 200);
+
+    const [request] = requests;
+    assert.equal(request.headers['Content-Encoding'], 'gzip');
+    assert.equal(gunzipSync(request.body).toString(), body);
+    assert.deepEqual(transport.getTransferStats(), {
+      batches: 1,
+      encodedBytes: Buffer.byteLength(body),
+      sentBytes: request.body.byteLength
+    });
+  });
+
+  it('falls back to plain JSON for good when the server answers 415', async () => {
+    const transport = new Transport({ endpoint: '/api/webvisor/events' });
+    statuses = [415];
+
+    assert.equal(await transport.postBatch(body), 200);
+    assert.equal(await transport.postBatch(body), 200);
+
+    assert.deepEqual(requests.map(request => request.headers['Content-Encoding']), ['gzip', undefined, undefined]);
+    assert.equal(requests[1].body, body);
+    assert.equal(transport.getTransferStats().sentBytes, 2 * Buffer.byteLength(body));
+  });
+
+  it('sends plain JSON when compression is turned off', async () => {
+    const transport = new Transport({ endpoint: '/api/webvisor/events', compression: false });
+
+    await transport.postBatch(body);
+    assert.equal(requests[0].headers['Content-Encoding'], undefined);
+    assert.equal(requests[0].body, body);
+  });
+
+  it('leaves 415 answers to plain bodies to the caller', async () => {
+    const transport = new Transport({ endpoint: '/api/webvisor/events', compression: false });
+    statuses = [415];
+
+    assert.equal(await transport.postBatch(body), 415);
+    assert.equal(requests.length, 1);
+    assert.equal(transport.getTransferStats().batches, 0);
+  });
+});
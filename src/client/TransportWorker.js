@@ -0,0 +1,44 @@
+/**
+ * Transport Worker - Runs the Transport in a dedicated worker, so buffering,
+ * JSON encoding, compression and sending stay off the main thread
+ * @module TransportWorker
+ */
+
+import { Transport } from './Transport.js';
+
+let transport = null;
+
+self.addEventListener('message', async ({ data: message }) => {
+  switch (message.type) {
+    case 'start':
+      transport = new Transport({
+        ...message.options,
+        onTransfer: stats => self.postMessage({ type: 'stats', stats }),
+        // The page keeps its own copy of events until they are safely queued here
+        onQueued: position => self.postMessage({ type: 'queued', position })
+      });
+      transport.start();
+      self.postMessage({ type: 'ready' });
+      break;
+
+    case 'event':
+      transport?.push(message.event);
+      break;
+
+    // The page sent the events up to position itself while it was hidden; chunks it
+    // could not send are kept for the next page load
+    case 'flushed':
+      transport?.skipEvents(message.position);
+      for (const body of message.unsent) {
+        transport?.eventQueue?.enqueue(body);
+      }
+      break;
+
+    case 'stop':
+    case 'discard':
+      await (message.type === 'stop' ? transport?.stop() : transport?.discard());
+      self.postMessage({ type: 'stopped', stats: transport?.getTransferStats() });
+      transport = null;
+      break;
+  }
+});
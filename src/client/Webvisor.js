@@ -8,6 +8,12 @@ import { DOMRecorder } from './recorder/DOMRecorder.js';
 import { InteractionRecorder } from './recorder/InteractionRecorder.js';
 import { InputRecorder } from './recorder/InputRecorder.js';
 import { NavigationRecorder } from './recorder/NavigationRecorder.js';
+import { ConsoleRecorder, serializeValue } from './recorder/ConsoleRecorder.js';
+import { NetworkRecorder } from './recorder/NetworkRecorder.js';
+import { EventQueue } from './EventQueue.js';
+import { PrivacyEngine } from './PrivacyEngine.js';
+import { Transport } from './Transport.js';
+import { WorkerTransport } from './WorkerTransport.js';
 
 /**
  * Generates a unique session ID
@@ -19,6 +25,100 @@ function generateSessionId() {
   return `wv_${timestamp}_${random}`;
 }
 
+// Cookie and sessionStorage key for the session ID shared by page loads
+const SESSION_STORAGE_KEY = 'wv_session';
+
+// localStorage keys of the sampling and consent decisions
+const SAMPLED_STORAGE_KEY = 'wv_sampled';
+const CONSENT_STORAGE_KEY = 'wv_consent';
+
+// Minimum ms between writes of the last activity time
+const ACTIVITY_SAVE_INTERVAL = 5000;
+
+/**
+ * Reads the stored session state from the session cookie, or sessionStorage
+ * when cookies are disabled
+ * @returns {{sessionId: string, page: number, lastActivity: number}|null}
+ */
+function loadSessionState() {
+  try {
+    const cookie = document.cookie
+      .split('; ')
+      .find(entry => entry.startsWith(`${SESSION_STORAGE_KEY}=`));
+    const value = cookie
+      ? decodeURIComponent(cookie.slice(SESSION_STORAGE_KEY.length + 1))
+      : sessionStorage.getItem(SESSION_STORAGE_KEY);
+
+    const state = value ? JSON.parse(value) : null;
+    return state?.sessionId ? state : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Stores the session state in a session cookie, so other tabs share it and it
+ * ends when the browser closes, and in sessionStorage as a fallback
+ * @param {{sessionId: string, page: number, lastActivity: number}} state
+ */
+function saveSessionState(state) {
+  const value = JSON.stringify(state);
+
+  try {
+    document.cookie = `${SESSION_STORAGE_KEY}=${encodeURIComponent(value)}; path=/; SameSite=Lax`;
+    sessionStorage.setItem(SESSION_STORAGE_KEY, value);
+  } catch (error) {
+    // Storage can be blocked; the session then ends with the page
+  }
+}
+
+/**
+ * Removes the stored session state and sampling decision
+ */
+function clearSessionState() {
+  try {
+    document.cookie = `${SESSION_STORAGE_KEY}=; path=/; max-age=0; SameSite=Lax`;
+    sessionStorage.removeItem(SESSION_STORAGE_KEY);
+    localStorage.removeItem(SAMPLED_STORAGE_KEY);
+  } catch (error) {
+    // Nothing was stored where storage is blocked
+  }
+}
+
+/**
+ * Reads the stored consent decision
+ * @returns {'granted'|'denied'|null}
+ */
+function loadConsent() {
+  try {
+    const value = localStorage.getItem(CONSENT_STORAGE_KEY);
+    return value === 'granted' || value === 'denied' ? value : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Stores the consent decision
+ * @param {'granted'|'denied'} value
+ */
+function saveConsent(value) {
+  try {
+    localStorage.setItem(CONSENT_STORAGE_KEY, value);
+  } catch (error) {
+    // The decision then lasts for this page only
+  }
+}
+
+/**
+ * Escapes a string for use in a regular expression
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
 /**
  * Webvisor class - Main entry point for session recording
  */
@@ -29,21 +129,41 @@ export class Webvisor {
   constructor(config = {}) {
     this.config = { ...DEFAULT_CONFIG, ...config };
     this.config.privacy = { ...DEFAULT_CONFIG.privacy, ...config.privacy };
+    this.config.network = { ...DEFAULT_CONFIG.network, ...config.network };
+    this.config.frustration = { ...DEFAULT_CONFIG.frustration, ...config.frustration };
+    this.config.queue = { ...DEFAULT_CONFIG.queue, ...config.queue };
+    this.config.consent = { ...DEFAULT_CONFIG.consent, ...config.consent };
+    this.config.meta = { ...DEFAULT_CONFIG.meta, ...config.meta };
 
     this.sessionId = null;
+    this.page = 0;
+    this.lastActivitySave = 0;
     this.events = [];
     this.isRecording = false;
     this.isSampled = false;
 
+    // Consent decision; start() calls waiting for consent are remembered
+    this.consent = loadConsent();
+    this.startRequested = false;
+    this.consentBuffer = null;
+    this.consentBufferOverflowed = false;
+
+    // Identity and tags set through identify() and tag(), kept across start() calls
+    this.userId = null;
+    this.traits = {};
+    this.tags = {};
+
     // Initialize recorders
     this.domRecorder = null;
     this.interactionRecorder = null;
     this.inputRecorder = null;
     this.navigationRecorder = null;
+    this.consoleRecorder = null;
+    this.networkRecorder = null;
 
-    // Batch sending
-    this.batchTimer = null;
-    this.sendQueue = [];
+    // Batch sending, on the main thread or in a worker
+    this.transport = null;
+    this.handlers = {};
   }
 
   /**
@@ -52,8 +172,7 @@ export class Webvisor {
    */
   shouldSample() {
     // Check localStorage for existing sample decision for this user
-    const storageKey = 'wv_sampled';
-    const storedDecision = localStorage.getItem(storageKey);
+    const storedDecision = localStorage.getItem(SAMPLED_STORAGE_KEY);
 
     if (storedDecision !== null) {
       return storedDecision === 'true';
@@ -61,7 +180,9 @@ export class Webvisor {
 
     // Make new sampling decision
     const sampled = Math.random() * 100 < this.config.samplingRate;
-    localStorage.setItem(storageKey, sampled.toString());
+    if (this.hasStorageConsent()) {
+      localStorage.setItem(SAMPLED_STORAGE_KEY, sampled.toString());
+    }
     return sampled;
   }
 
@@ -81,6 +202,45 @@ export class Webvisor {
     });
   }
 
+  /**
+   * Checks if the SDK may send data and write cookies and storage
+   * @returns {boolean}
+   */
+  hasStorageConsent() {
+    return !this.config.requireConsent || this.consent === 'granted';
+  }
+
+  /**
+   * Checks for browser privacy signals the configuration honors
+   * @returns {boolean}
+   */
+  hasPrivacySignal() {
+    const { honorGlobalPrivacyControl, honorDoNotTrack } = this.config.consent;
+
+    if (honorGlobalPrivacyControl && navigator.globalPrivacyControl === true) {
+      return true;
+    }
+
+    const doNotTrack = navigator.doNotTrack ?? window.doNotTrack;
+    return honorDoNotTrack && (doNotTrack === '1' || doNotTrack === 'yes');
+  }
+
+  /**
+   * Holds an event in memory until consent is granted
+   * @param {object} event
+   */
+  bufferEvent(event) {
+    if (this.consentBuffer.length < this.config.consent.maxBufferedEvents) {
+      this.consentBuffer.push(event);
+      return;
+    }
+
+    if (!this.consentBufferOverflowed) {
+      this.consentBufferOverflowed = true;
+      console.warn('[Webvisor] Consent buffer full, dropping events until consent is granted');
+    }
+  }
+
   /**
    * Handles recorded events
    * @param {object} event
@@ -91,76 +251,107 @@ export class Webvisor {
     event.sessionId = this.sessionId;
     this.events.push(event);
 
-    // Add to send queue
-    this.sendQueue.push(event);
+    // Activity keeps the session alive for the next page load
+    if (event.timestamp - this.lastActivitySave >= ACTIVITY_SAVE_INTERVAL) {
+      this.saveActivity(event.timestamp);
+    }
+
+    // Add to the next batch; until consent is granted, events stay in memory
+    if (this.transport) {
+      this.transport.push(event);
+    } else {
+      this.bufferEvent(event);
+    }
 
-    // Check if we should send batch
-    if (this.sendQueue.length >= this.config.batchSize) {
-      this.sendBatch();
+    // Navigation, requests and input tell dead click detection the page responded
+    this.interactionRecorder?.recordActivity(event);
+
+    // Checkpoint after route changes so seeking can start from the new page
+    if (event.type === EventType.PAGE_TRANSITION && event.data.to) {
+      this.domRecorder?.captureSnapshot('transition');
     }
   }
 
   /**
-   * Sends a batch of events to the server
+   * Continues the stored session when it has been active within sessionTimeout,
+   * or starts a new one
    */
-  async sendBatch() {
-    if (this.sendQueue.length === 0) return;
+  resumeSession() {
+    const stored = loadSessionState();
+    const isActive = stored && this.config.sessionTimeout > 0 &&
+      Date.now() - stored.lastActivity < this.config.sessionTimeout;
+
+    if (isActive) {
+      this.sessionId = stored.sessionId;
+      this.page = (stored.page || 0) + 1;
+    } else {
+      this.sessionId = generateSessionId();
+      this.page = 1;
+    }
 
-    const batch = this.sendQueue.splice(0, this.config.batchSize);
+    this.saveActivity(Date.now());
+  }
 
-    try {
-      const response = await fetch(this.config.endpoint, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          sessionId: this.sessionId,
-          events: batch,
-          timestamp: Date.now(),
-          meta: {
-            userAgent: navigator.userAgent,
-            language: navigator.language,
-            screen: {
-              width: screen.width,
-              height: screen.height
-            }
-          }
-        }),
-        keepalive: true
-      });
+  /**
+   * Stores the session ID, page number and last activity time
+   * @param {number} timestamp
+   */
+  saveActivity(timestamp) {
+    this.lastActivitySave = timestamp;
+    if (!this.hasStorageConsent()) return;
 
-      if (!response.ok) {
-        // Re-queue events on failure
-        this.sendQueue.unshift(...batch);
-        console.warn('[Webvisor] Failed to send batch:', response.status);
-      }
-    } catch (error) {
-      // Re-queue events on error
-      this.sendQueue.unshift(...batch);
-      console.warn('[Webvisor] Error sending batch:', error.message);
-    }
+    // Another tab may have loaded pages of the same session in the meantime
+    const stored = loadSessionState();
+    const page = stored?.sessionId === this.sessionId ? Math.max(stored.page, this.page) : this.page;
+
+    saveSessionState({ sessionId: this.sessionId, page, lastActivity: timestamp });
   }
 
   /**
-   * Starts the batch send timer
+   * Sends every queued event while the page is hidden or unloaded
    */
-  startBatchTimer() {
-    if (this.batchTimer) return;
+  flushOnHide() {
+    // Mutations of the last frame have not been flushed yet
+    this.domRecorder?.flushMutations();
+    this.transport?.flushOnHide();
+  }
 
-    this.batchTimer = setInterval(() => {
-      this.sendBatch();
-    }, this.config.batchInterval);
+  /**
+   * Creates and starts the transport that sends batches to the server
+   */
+  startTransport() {
+    // Worker mode encodes, compresses and sends batches off the main thread
+    const TransportClass = this.config.worker ? WorkerTransport : Transport;
+    this.transport = new TransportClass({
+      endpoint: new URL(this.config.endpoint, window.location.href).href,
+      sessionId: this.sessionId,
+      page: this.page,
+      meta: {
+        ...this.config.meta,
+        userAgent: navigator.userAgent,
+        language: navigator.language,
+        screen: {
+          width: screen.width,
+          height: screen.height
+        }
+      },
+      batchSize: this.config.batchSize,
+      batchInterval: this.config.batchInterval,
+      compression: this.config.compression,
+      queue: this.config.queue,
+      workerUrl: this.config.workerUrl
+    });
+    this.transport.start();
   }
 
   /**
-   * Stops the batch send timer
+   * Gets the byte counts of batches the server accepted
+   * @returns {{batches: number, encodedBytes: number, sentBytes: number}}
    */
-  stopBatchTimer() {
-    if (this.batchTimer) {
-      clearInterval(this.batchTimer);
-      this.batchTimer = null;
-    }
+  getTransferStats() {
+    return this.transport
+      ? this.transport.getTransferStats()
+      : { batches: 0, encodedBytes: 0, sentBytes: 0 };
   }
 
   /**
@@ -179,39 +370,76 @@ export class Webvisor {
       return false;
     }
 
+    // Opt-outs and honored privacy signals apply with or without requireConsent
+    if (this.consent === 'denied' || this.hasPrivacySignal()) {
+      console.log('[Webvisor] Recording disabled by privacy choice');
+      return false;
+    }
+
+    this.startRequested = true;
+    const awaitingConsent = !this.hasStorageConsent();
+    if (awaitingConsent && this.config.consent.beforeConsent !== 'buffer') {
+      console.log('[Webvisor] Waiting for consent');
+      return false;
+    }
+
     // Check sampling
     this.isSampled = this.shouldSample();
     if (!this.isSampled) {
+      this.startRequested = false;
       console.log('[Webvisor] Session not sampled');
       return false;
     }
 
-    this.sessionId = generateSessionId();
+    this.resumeSession();
     this.isRecording = true;
 
+    if (awaitingConsent) {
+      this.transport = null;
+      this.consentBuffer = [];
+    } else {
+      this.startTransport();
+    }
+
     const eventHandler = this.handleEvent.bind(this);
-    const excludeAttribute = this.config.privacy.excludeAttribute;
+    // One set of exclusion and masking rules for every recorder
+    const privacy = new PrivacyEngine(this.config.privacy);
 
-    // Initialize DOM recorder
+    // Initialize DOM recorder; same-origin frames are also recorded for interactions
     this.domRecorder = new DOMRecorder({
       onEvent: eventHandler,
-      excludeAttribute
+      privacy,
+      checkpointInterval: this.config.checkpointInterval,
+      checkpointMutations: this.config.checkpointMutations,
+      onDocument: (doc) => {
+        this.interactionRecorder?.addDocument(doc);
+        this.inputRecorder?.addDocument(doc);
+      },
+      onShadowRoot: (root) => {
+        this.interactionRecorder?.addShadowRoot(root);
+        this.inputRecorder?.addShadowRoot(root);
+      }
     });
+    const getNodeId = node => this.domRecorder.getNodeId(node);
 
     // Initialize interaction recorder
     this.interactionRecorder = new InteractionRecorder({
       onEvent: eventHandler,
       mouseThrottle: this.config.mouseThrottle,
       scrollThrottle: this.config.scrollThrottle,
-      excludeAttribute
+      privacy,
+      getNodeId,
+      rageClickCount: this.config.frustration.rageClickCount,
+      rageClickRadius: this.config.frustration.rageClickRadius,
+      rageClickWindow: this.config.frustration.rageClickWindow,
+      deadClickTimeout: this.config.frustration.deadClickTimeout
     });
 
     // Initialize input recorder
     this.inputRecorder = new InputRecorder({
       onEvent: eventHandler,
-      maskAllInputs: this.config.privacy.maskAllInputs,
-      maskSensitiveInputs: this.config.privacy.maskSensitiveInputs,
-      excludeAttribute
+      privacy,
+      getNodeId
     });
 
     // Initialize navigation recorder
@@ -220,20 +448,52 @@ export class Webvisor {
     );
     this.navigationRecorder = new NavigationRecorder({
       onEvent: eventHandler,
-      excludePages: excludePatterns
+      excludePages: excludePatterns,
+      privacy,
+      performanceMetrics: this.config.performanceMetrics
+    });
+
+    // Initialize console recorder
+    this.consoleRecorder = new ConsoleRecorder({
+      onEvent: eventHandler,
+      levels: this.config.consoleLevels
     });
 
+    // Initialize network recorder; the SDK's own posts are never recorded
+    if (this.config.network.enabled) {
+      const endpointUrl = new URL(this.config.endpoint, window.location.href).href;
+      this.networkRecorder = new NetworkRecorder({
+        onEvent: eventHandler,
+        recordHeaders: this.config.network.recordHeaders,
+        recordBody: this.config.network.recordBody,
+        maxBodyLength: this.config.network.maxBodyLength,
+        denyUrls: [
+          new RegExp(`^${escapeRegExp(endpointUrl)}`),
+          ...this.config.network.denyUrls.map(p => typeof p === 'string' ? new RegExp(p) : p)
+        ]
+      });
+    }
+
     // Record session start
     this.handleEvent({
       type: EventType.SESSION_START,
       timestamp: Date.now(),
       data: {
         url: window.location.href,
-        title: document.title,
-        referrer: document.referrer
+        title: privacy.getTitle(),
+        referrer: document.referrer,
+        page: this.page
       }
     });
 
+    // Identity set before start() belongs to this session too
+    if (this.userId !== null) {
+      this.recordIdentify();
+    }
+    for (const [key, value] of Object.entries(this.tags)) {
+      this.recordTag(key, value);
+    }
+
     // Capture initial DOM snapshot
     this.domRecorder.captureSnapshot();
 
@@ -243,9 +503,18 @@ export class Webvisor {
     this.inputRecorder.start();
     this.navigationRecorder.start();
     this.navigationRecorder.recordPageLoad();
-
-    // Start batch timer
-    this.startBatchTimer();
+    this.consoleRecorder.start();
+    this.networkRecorder?.start();
+
+    // Timers do not run once the page is hidden or unloading, so the queue is sent right away
+    this.handlers.pagehide = () => this.flushOnHide();
+    this.handlers.visibilitychange = () => {
+      if (document.visibilityState === 'hidden') {
+        this.flushOnHide();
+      }
+    };
+    window.addEventListener('pagehide', this.handlers.pagehide);
+    document.addEventListener('visibilitychange', this.handlers.visibilitychange);
 
     console.log(`[Webvisor] Recording started - Session: ${this.sessionId}`);
     return true;
@@ -255,9 +524,11 @@ export class Webvisor {
    * Stops recording and sends remaining events
    */
   async stop() {
+    this.startRequested = false;
     if (!this.isRecording) return;
 
-    this.isRecording = false;
+    // Stop all recorders; events they flush while stopping are still recorded
+    this.stopRecorders();
 
     // Record session end
     this.handleEvent({
@@ -269,17 +540,223 @@ export class Webvisor {
       }
     });
 
-    // Stop all recorders
+    this.isRecording = false;
+
+    // Send remaining events; unsent ones wait for the next page load.
+    // Events buffered without consent are dropped
+    await this.transport?.stop();
+    this.consentBuffer = null;
+
+    console.log(`[Webvisor] Recording stopped - ${this.events.length} events recorded`);
+  }
+
+  /**
+   * Removes the page listeners and stops all recorders
+   */
+  stopRecorders() {
+    window.removeEventListener('pagehide', this.handlers.pagehide);
+    document.removeEventListener('visibilitychange', this.handlers.visibilitychange);
+    this.handlers = {};
+
     this.domRecorder?.stop();
     this.interactionRecorder?.stop();
     this.inputRecorder?.stop();
     this.navigationRecorder?.stop();
+    this.consoleRecorder?.stop();
+    this.networkRecorder?.stop();
+  }
+
+  /**
+   * Records the user's consent decision, kept in localStorage for later page loads.
+   * Granting starts a start() call that waits for consent, or sends the events
+   * buffered so far. Revoking stops recording and asks the server to delete the
+   * current session
+   * @param {boolean} granted
+   * @returns {Promise<void>}
+   */
+  async setConsent(granted) {
+    this.consent = granted ? 'granted' : 'denied';
+    saveConsent(this.consent);
 
-    // Stop batch timer and send remaining events
-    this.stopBatchTimer();
-    await this.sendBatch();
+    if (!granted) {
+      await this.revokeConsent();
+      return;
+    }
 
-    console.log(`[Webvisor] Recording stopped - ${this.events.length} events recorded`);
+    if (this.isRecording && !this.transport) {
+      this.sendBufferedEvents();
+    } else if (!this.isRecording && this.startRequested) {
+      this.start();
+    }
+  }
+
+  /**
+   * Gets the stored consent decision
+   * @returns {'granted'|'denied'|null} null when the user has not decided
+   */
+  getConsent() {
+    return this.consent;
+  }
+
+  /**
+   * Starts sending once consent is granted, beginning with the buffered events
+   */
+  sendBufferedEvents() {
+    try {
+      localStorage.setItem(SAMPLED_STORAGE_KEY, 'true');
+    } catch (error) {
+      // The sampling decision is then made again on the next page load
+    }
+    this.saveActivity(Date.now());
+    this.startTransport();
+
+    for (const event of this.consentBuffer.splice(0)) {
+      this.transport.push(event);
+    }
+    this.consentBuffer = null;
+
+    // A fresh snapshot closes the gap left by dropped events
+    if (this.consentBufferOverflowed) {
+      this.consentBufferOverflowed = false;
+      this.domRecorder.captureSnapshot('consent');
+    }
+  }
+
+  /**
+   * Stops recording without sending, drops unsent batches and asks the server
+   * to delete the current session
+   */
+  async revokeConsent() {
+    this.startRequested = false;
+
+    // Without a recording on this page, the stored session is the current one
+    const sessionId = this.isRecording ? this.sessionId : loadSessionState()?.sessionId;
+    const wasSent = this.isRecording ? Boolean(this.transport) : Boolean(sessionId);
+
+    if (this.isRecording) {
+      this.stopRecorders();
+      this.isRecording = false;
+      this.consentBuffer = null;
+      this.consentBufferOverflowed = false;
+    }
+
+    // Batches sent after the deletion would create the session again
+    await (this.transport ? this.transport.discard() : new EventQueue().clear());
+    this.transport = null;
+    clearSessionState();
+
+    if (wasSent && sessionId) {
+      await this.deleteRemoteSession(sessionId);
+    }
+
+    console.log('[Webvisor] Consent revoked - recording stopped');
+  }
+
+  /**
+   * Asks the server to delete a session
+   * @param {string} sessionId
+   * @returns {Promise<boolean>} Whether the server deleted it
+   */
+  async deleteRemoteSession(sessionId) {
+    // The sessions API sits next to the events endpoint
+    const endpoint = new URL(this.config.endpoint, window.location.href);
+    const url = new URL(`sessions/${encodeURIComponent(sessionId)}`, endpoint);
+
+    try {
+      const response = await fetch(url, { method: 'DELETE', keepalive: true });
+      return response.ok;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Records a custom event, such as "checkout started"
+   * @param {string} name
+   * @param {object} [props] - JSON-serializable event properties
+   * @returns {boolean} Whether the event was recorded
+   */
+  track(name, props = {}) {
+    if (!this.isRecording) return false;
+
+    if (typeof name !== 'string' || !name) {
+      console.warn('[Webvisor] track() needs an event name');
+      return false;
+    }
+
+    this.handleEvent({
+      type: EventType.CUSTOM,
+      timestamp: Date.now(),
+      data: {
+        name,
+        props: serializeValue(props)
+      }
+    });
+    return true;
+  }
+
+  /**
+   * Links the session to a user of your application
+   * @param {string} userId
+   * @param {object} [traits] - JSON-serializable user properties
+   */
+  identify(userId, traits = {}) {
+    if (userId === null || userId === undefined || userId === '') {
+      console.warn('[Webvisor] identify() needs a user ID');
+      return;
+    }
+
+    this.userId = String(userId);
+    this.traits = { ...this.traits, ...traits };
+
+    if (this.isRecording) {
+      this.recordIdentify();
+    }
+  }
+
+  /**
+   * Tags the session with a key and value
+   * @param {string} key
+   * @param {string|number|boolean} value
+   */
+  tag(key, value) {
+    if (typeof key !== 'string' || !key) {
+      console.warn('[Webvisor] tag() needs a key');
+      return;
+    }
+
+    this.tags[key] = String(value);
+
+    if (this.isRecording) {
+      this.recordTag(key, this.tags[key]);
+    }
+  }
+
+  /**
+   * Records the current identity
+   */
+  recordIdentify() {
+    this.handleEvent({
+      type: EventType.IDENTIFY,
+      timestamp: Date.now(),
+      data: {
+        userId: this.userId,
+        traits: serializeValue(this.traits)
+      }
+    });
+  }
+
+  /**
+   * Records a session tag
+   * @param {string} key
+   * @param {string} value
+   */
+  recordTag(key, value) {
+    this.handleEvent({
+      type: EventType.TAG,
+      timestamp: Date.now(),
+      data: { key, value }
+    });
   }
 
   /**
@@ -0,0 +1,202 @@
+/**
+ * Worker Transport - Hands events to a Transport running in TransportWorker
+ * @module WorkerTransport
+ */
+
+import { Transport } from './Transport.js';
+
+/**
+ * WorkerTransport class - Same interface as Transport. Falls back to a Transport
+ * on the main thread when the worker cannot start, for example when CSP blocks it
+ */
+export class WorkerTransport {
+  /**
+   * @param {object} options - Transport options
+   * @param {string|URL} [options.workerUrl] - URL of TransportWorker.js
+   */
+  constructor(options = {}) {
+    const { workerUrl, ...transportOptions } = options;
+
+    this.workerUrl = workerUrl || new URL('./TransportWorker.js', import.meta.url);
+    this.options = transportOptions;
+
+    this.worker = null;
+    this.fallback = null;
+    this.resolveStop = null;
+    this.stopType = null;
+    this.transferStats = { batches: 0, encodedBytes: 0, sentBytes: 0 };
+
+    // Events the worker has not queued yet, starting at position unsentPosition in the
+    // event stream. A hidden page may be torn down before the worker gets another
+    // message, so they are sent from here; they are also replayed if the worker fails
+    this.unsent = [];
+    this.unsentPosition = 0;
+
+    // Encodes and beacons unsent events on the main thread; never started
+    this.beaconTransport = new Transport(transportOptions);
+  }
+
+  /**
+   * Starts the worker
+   */
+  start() {
+    if (this.worker || this.fallback) return;
+
+    try {
+      this.worker = new Worker(this.workerUrl, { type: 'module' });
+    } catch (error) {
+      // No worker support, or a CSP that blocks it synchronously
+      this.useFallback();
+      return;
+    }
+
+    this.worker.addEventListener('message', ({ data: message }) => {
+      switch (message.type) {
+        case 'queued':
+          this.forgetUnsent(message.position);
+          break;
+
+        case 'stats':
+          this.transferStats = message.stats;
+          break;
+
+        case 'stopped':
+          this.transferStats = message.stats || this.transferStats;
+          this.resolveStop?.();
+          break;
+      }
+    });
+
+    // CSP violations and script load failures surface as an error event
+    this.worker.addEventListener('error', (event) => {
+      event.preventDefault();
+      this.useFallback();
+    });
+
+    this.worker.postMessage({ type: 'start', options: this.options });
+  }
+
+  /**
+   * Replaces the worker with a Transport on the main thread
+   */
+  useFallback() {
+    if (this.fallback) return;
+
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+      console.warn('[Webvisor] Transport worker failed, sending from the main thread');
+    }
+
+    this.fallback = new Transport(this.options);
+    this.fallback.start();
+
+    // Events the worker had not queued yet are sent from here instead
+    for (const event of this.unsent.splice(0)) {
+      this.fallback.push(event);
+    }
+
+    if (this.resolveStop) {
+      this.fallback[this.stopType]().then(this.resolveStop);
+    }
+  }
+
+  /**
+   * Drops the copies of events the worker has put in its persistent queue
+   * @param {number} position - Events taken from the stream so far
+   */
+  forgetUnsent(position) {
+    const count = position - this.unsentPosition;
+    if (count <= 0) return;
+
+    this.unsent.splice(0, count);
+    this.unsentPosition = position;
+  }
+
+  /**
+   * Asks the worker to stop and terminates it once it has
+   * @param {string} type - 'stop' or 'discard'
+   * @returns {Promise<void>}
+   */
+  async shutdown(type) {
+    if (this.fallback) {
+      await this.fallback[type]();
+      return;
+    }
+    if (!this.worker) return;
+
+    this.stopType = type;
+    await new Promise((resolve) => {
+      this.resolveStop = resolve;
+      this.worker.postMessage({ type });
+    });
+    this.resolveStop = null;
+
+    this.worker?.terminate();
+    this.worker = null;
+  }
+
+  /**
+   * Stops the worker after it has sent the remaining events
+   * @returns {Promise<void>}
+   */
+  stop() {
+    return this.shutdown('stop');
+  }
+
+  /**
+   * Stops the worker without sending, dropping the events not sent yet
+   * @returns {Promise<void>}
+   */
+  discard() {
+    return this.shutdown('discard');
+  }
+
+  /**
+   * Adds an event to the next batch
+   * @param {object} event
+   */
+  push(event) {
+    if (this.fallback) {
+      this.fallback.push(event);
+      return;
+    }
+    if (!this.worker) return;
+
+    try {
+      this.worker.postMessage({ type: 'event', event });
+      this.unsent.push(event);
+    } catch (error) {
+      // Values that cannot be cloned, such as functions, drop the event
+      console.warn('[Webvisor] Event could not be passed to the worker:', error.message);
+    }
+  }
+
+  /**
+   * Sends every queued event while the page is hidden or unloaded
+   */
+  flushOnHide() {
+    if (this.fallback) {
+      this.fallback.flushOnHide();
+      return;
+    }
+    if (!this.worker || this.unsent.length === 0) return;
+
+    // Sent from the main thread: only it has sendBeacon, and it cannot wait for the worker
+    const events = this.unsent.splice(0);
+    this.unsentPosition += events.length;
+    const unsent = this.beaconTransport.beaconEvents(events);
+
+    this.worker.postMessage({ type: 'flushed', position: this.unsentPosition, unsent });
+  }
+
+  /**
+   * Gets the byte counts of batches the server accepted
+   * @returns {{batches: number, encodedBytes: number, sentBytes: number}}
+   */
+  getTransferStats() {
+    return this.fallback ? this.fallback.getTransferStats() : { ...this.transferStats };
+  }
+}
+
+export default WorkerTransport;
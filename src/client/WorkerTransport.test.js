@@ -0,0 +1,155 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Transport } from './Transport.js';
+import { WorkerTransport } from './WorkerTransport.js';
+
+/**
+ * Stands in for the transport worker, recording the messages posted to it
+ */
+class FakeWorker {
+  constructor() {
+    this.messages = [];
+    this.listeners = { message: [], error: [] };
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type].push(listener);
+  }
+
+  postMessage(message) {
+    this.messages.push(structuredClone(message));
+  }
+
+  terminate() {}
+
+  /**
+   * Delivers a message from the worker
+   * @param {object} data
+   */
+  reply(data) {
+    for (const listener of this.listeners.message) {
+      listener({ data });
+    }
+  }
+}
+
+/**
+ * Builds a CUSTOM event
+ * @param {number} index
+ * @returns {object}
+ */
+function event(index) {
+  return { type: 'custom', timestamp: 1000 + index, data: { index } };
+}
+
+describe('WorkerTransport', () => {
+  const navigatorDescriptor = Object.getOwnPropertyDescriptor(globalThis, 'navigator');
+  let beacons;
+  let acceptBeacons;
+  let worker;
+  let transport;
+
+  beforeEach(() => {
+    beacons = [];
+    acceptBeacons = true;
+    globalThis.Worker = class extends FakeWorker {
+      constructor() {
+        super();
+        worker = this;
+      }
+    };
+    Object.defineProperty(globalThis, 'navigator', {
+      configurable: true,
+      value: {
+        sendBeacon: (url, blob) => {
+          beacons.push(blob);
+          return acceptBeacons;
+        }
+      }
+    });
+
+    transport = new WorkerTransport({ endpoint: '/api/webvisor/events', sessionId: 'wv_a', page: 1 });
+    transport.start();
+    worker.reply({ type: 'ready' });
+  });
+
+  afterEach(() => {
+    delete globalThis.Worker;
+    if (navigatorDescriptor) {
+      Object.defineProperty(globalThis, 'navigator', navigatorDescriptor);
+    } else {
+      delete globalThis.navigator;
+    }
+  });
+
+  describe('flushOnHide', () => {
+    it('beacons the events the worker has not queued from the main thread', async () => {
+      [0, 1, 2, 3].forEach(index => transport.push(event(index)));
+      worker.reply({ type: 'queued', position: 1 });
+
+      transport.flushOnHide();
+
+      assert.equal(beacons.length, 1);
+      const batch = JSON.parse(await beacons[0].text());
+      assert.equal(batch.sessionId, 'wv_a');
+      assert.deepEqual(batch.events.map(({ data }) => data.index), [1, 2, 3]);
+      assert.deepEqual(worker.messages.at(-1), { type: 'flushed', position: 4, unsent: [] });
+
+      // Nothing is sent twice, and later events continue from the flushed position
+      transport.flushOnHide();
+      transport.push(event(4));
+      worker.reply({ type: 'queued', position: 4 });
+      assert.equal(beacons.length, 1);
+      assert.deepEqual(transport.unsent, [event(4)]);
+    });
+
+    it('splits large flushes into beacon-sized chunks, falling back to keepalive requests', () => {
+      acceptBeacons = false;
+      const text = 'x'.repeat(20 * 1024);
+      [0, 1, 2, 3, 4].forEach(index => transport.push({ ...event(index), data: { index, text } }));
+
+      const fetches = [];
+      const originalFetch = globalThis.fetch;
+      globalThis.fetch = async (url, init) => fetches.push(init);
+      try {
+        transport.flushOnHide();
+      } finally {
+        globalThis.fetch = originalFetch;
+      }
+
+      // Rejected beacons fall back to keepalive requests, which accept every chunk
+      assert.equal(beacons.length, 3);
+      assert.equal(fetches.length, 3);
+      assert.ok(fetches.every(init => init.keepalive && init.body.size < 64 * 1024));
+      assert.deepEqual(worker.messages.at(-1), { type: 'flushed', position: 5, unsent: [] });
+    });
+
+    it('hands chunks over the keepalive limit back to the worker', () => {
+      transport.push({ ...event(0), data: { text: 'x'.repeat(70 * 1024) } });
+
+      transport.flushOnHide();
+
+      const message = worker.messages.at(-1);
+      assert.equal(beacons.length, 0);
+      assert.equal(message.position, 1);
+      assert.equal(JSON.parse(message.unsent[0]).events.length, 1);
+    });
+  });
+});
+
+describe('Transport.skipEvents', () => {
+  it('drops only the flushed events still waiting in the send queue', () => {
+    const transport = new Transport({ sessionId: 'wv_a', page: 1 });
+    // Event 0 is already batched, so the send queue starts at position 1
+    [1, 2, 3, 4].forEach(index => transport.sendQueue.push(event(index)));
+    transport.takenCount = 1;
+
+    transport.skipEvents(3);
+    assert.deepEqual(transport.sendQueue, [event(3), event(4)]);
+    assert.equal(transport.takenCount, 3);
+
+    transport.skipEvents(2);
+    assert.deepEqual(transport.sendQueue, [event(3), event(4)]);
+  });
+});
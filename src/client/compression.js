@@ -0,0 +1,22 @@
+/**
+ * Compression - Gzip encoding of event batches
+ * @module compression
+ */
+
+/**
+ * Checks if the browser can compress request bodies
+ * @returns {boolean}
+ */
+export function isCompressionSupported() {
+  return typeof CompressionStream !== 'undefined';
+}
+
+/**
+ * Compresses an encoded batch with gzip
+ * @param {string} body
+ * @returns {Promise<Uint8Array>}
+ */
+export async function compressBody(body) {
+  const stream = new Blob([body]).stream().pipeThrough(new CompressionStream('gzip'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
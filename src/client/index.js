@@ -4,11 +4,18 @@
  */
 
 export { Webvisor } from './Webvisor.js';
+export { ReplayPlayer } from './ReplayPlayer.js';
+export { EventQueue } from './EventQueue.js';
+export { Transport } from './Transport.js';
+export { WorkerTransport } from './WorkerTransport.js';
+export { PrivacyEngine } from './PrivacyEngine.js';
 export { DOMRecorder, getSelector, serializeNode } from './recorder/DOMRecorder.js';
 export { InteractionRecorder, throttle } from './recorder/InteractionRecorder.js';
 export { InputRecorder } from './recorder/InputRecorder.js';
 export { NavigationRecorder } from './recorder/NavigationRecorder.js';
-export { EventType, MutationType, DEFAULT_CONFIG } from '../shared/constants.js';
+export { ConsoleRecorder } from './recorder/ConsoleRecorder.js';
+export { NetworkRecorder } from './recorder/NetworkRecorder.js';
+export { EventType, MutationType, StyleSheetAction, PointerAction, TouchAction, DEFAULT_CONFIG } from '../shared/constants.js';
 
 // Auto-initialize if data attribute is present
 if (typeof document !== 'undefined') {
@@ -0,0 +1,241 @@
+/**
+ * Console Recorder - Captures console output and uncaught JavaScript errors
+ * @module ConsoleRecorder
+ */
+
+import { EventType } from '../../shared/constants.js';
+import { getSelector } from './DOMRecorder.js';
+
+// Limits that keep noisy pages from flooding the session
+const MAX_STRING_LENGTH = 1000;
+const MAX_DEPTH = 3;
+const MAX_KEYS = 50;
+const MAX_EVENTS = 1000;
+
+/**
+ * Converts a console argument to a JSON-safe value
+ * @param {*} value
+ * @param {number} [depth]
+ * @param {WeakSet<object>} [seen] - Objects on the current path, to break cycles
+ * @returns {*}
+ */
+function serializeValue(value, depth = 0, seen = new WeakSet()) {
+  if (value === null || typeof value === 'boolean' || typeof value === 'number') {
+    return value;
+  }
+
+  if (typeof value === 'string') {
+    return value.length > MAX_STRING_LENGTH
+      ? `${value.slice(0, MAX_STRING_LENGTH)}…`
+      : value;
+  }
+
+  if (value === undefined) return '[undefined]';
+  if (typeof value === 'bigint') return `${value}n`;
+  if (typeof value === 'symbol') return value.toString();
+  if (typeof value === 'function') return `[Function ${value.name || 'anonymous'}]`;
+
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: serializeValue(value.message),
+      stack: serializeValue(value.stack || '')
+    };
+  }
+
+  // DOM nodes are logged by their selector, never by their content
+  if (typeof Node !== 'undefined' && value instanceof Node) {
+    return value.nodeType === Node.ELEMENT_NODE
+      ? `[${value.tagName} ${getSelector(value)}]`
+      : `[${value.nodeName}]`;
+  }
+
+  if (seen.has(value)) return '[Circular]';
+  if (depth >= MAX_DEPTH) return Array.isArray(value) ? '[Array]' : '[Object]';
+
+  seen.add(value);
+
+  let result;
+  try {
+    if (Array.isArray(value)) {
+      result = value.slice(0, MAX_KEYS).map(item => serializeValue(item, depth + 1, seen));
+      if (value.length > MAX_KEYS) {
+        result.push(`… ${value.length - MAX_KEYS} more`);
+      }
+    } else {
+      result = {};
+      const keys = Object.keys(value);
+      for (const key of keys.slice(0, MAX_KEYS)) {
+        result[key] = serializeValue(value[key], depth + 1, seen);
+      }
+      if (keys.length > MAX_KEYS) {
+        result['…'] = `${keys.length - MAX_KEYS} more`;
+      }
+    }
+  } catch (error) {
+    // Getters can throw; keep what was read so far
+    result = result || '[Unserializable]';
+  }
+
+  seen.delete(value);
+  return result;
+}
+
+/**
+ * Gets the stack trace of the code that called into the recorder
+ * @returns {string}
+ */
+function getCallerStack() {
+  const stack = new Error().stack || '';
+
+  // Drop the Error line and the recorder's own frames
+  return stack.split('\n').slice(4).join('\n');
+}
+
+/**
+ * ConsoleRecorder class - Records console calls and uncaught errors
+ */
+export class ConsoleRecorder {
+  /**
+   * @param {object} options
+   * @param {Function} options.onEvent - Callback for recorded events
+   * @param {string[]} options.levels - Console methods to record
+   */
+  constructor(options = {}) {
+    this.onEvent = options.onEvent || (() => {});
+    this.levels = options.levels || ['log', 'warn', 'error'];
+
+    this.handlers = {};
+    this.originalMethods = {};
+    this.eventCount = 0;
+    this.isCapturing = false;
+    this.isRecording = false;
+  }
+
+  /**
+   * Emits an event unless the per-page limit has been reached
+   * @param {object} event
+   */
+  emit(event) {
+    if (this.eventCount >= MAX_EVENTS) return;
+    this.eventCount++;
+
+    // Guards against listeners that log while an event is being recorded
+    this.isCapturing = true;
+    try {
+      this.onEvent(event);
+    } finally {
+      this.isCapturing = false;
+    }
+  }
+
+  /**
+   * Records a console call
+   * @param {string} level
+   * @param {Array} args
+   */
+  recordConsole(level, args) {
+    const data = {
+      level,
+      args: args.map(arg => serializeValue(arg))
+    };
+
+    // Call sites are only worth their size for problems
+    if (level === 'error' || level === 'warn') {
+      data.stack = getCallerStack();
+    }
+
+    this.emit({
+      type: EventType.CONSOLE,
+      timestamp: Date.now(),
+      data
+    });
+  }
+
+  /**
+   * Starts recording console output and errors
+   */
+  start() {
+    if (this.isRecording) return;
+    this.isRecording = true;
+
+    // Console overrides; the original method always runs first
+    for (const level of this.levels) {
+      const original = console[level];
+      if (typeof original !== 'function') continue;
+
+      this.originalMethods[level] = original;
+
+      console[level] = (...args) => {
+        original.apply(console, args);
+
+        // The SDK's own messages are not part of the session
+        const isOwnMessage = typeof args[0] === 'string' && args[0].startsWith('[Webvisor');
+
+        if (!this.isCapturing && !isOwnMessage) {
+          this.recordConsole(level, args);
+        }
+      };
+    }
+
+    // Uncaught error handler; listening does not replace an existing window.onerror
+    this.handlers.error = (e) => {
+      // Resource load failures also reach window but carry no message
+      if (!e.message && !e.error) return;
+
+      this.emit({
+        type: EventType.ERROR,
+        timestamp: Date.now(),
+        data: {
+          kind: 'error',
+          message: serializeValue(e.message || String(e.error)),
+          source: e.filename || '',
+          line: e.lineno || 0,
+          column: e.colno || 0,
+          stack: serializeValue(e.error?.stack || '')
+        }
+      });
+    };
+
+    // Unhandled promise rejection handler
+    this.handlers.unhandledrejection = (e) => {
+      const reason = e.reason;
+
+      this.emit({
+        type: EventType.ERROR,
+        timestamp: Date.now(),
+        data: {
+          kind: 'unhandledrejection',
+          message: serializeValue(reason instanceof Error ? reason.message : reason),
+          stack: serializeValue(reason?.stack || '')
+        }
+      });
+    };
+
+    window.addEventListener('error', this.handlers.error);
+    window.addEventListener('unhandledrejection', this.handlers.unhandledrejection);
+  }
+
+  /**
+   * Stops recording and restores the console
+   */
+  stop() {
+    if (!this.isRecording) return;
+    this.isRecording = false;
+
+    window.removeEventListener('error', this.handlers.error);
+    window.removeEventListener('unhandledrejection', this.handlers.unhandledrejection);
+
+    // Restore original console methods
+    for (const [level, original] of Object.entries(this.originalMethods)) {
+      console[level] = original;
+    }
+
+    this.originalMethods = {};
+    this.handlers = {};
+  }
+}
+
+export { serializeValue };
+
+export default ConsoleRecorder;
@@ -3,7 +3,8 @@
  * @module DOMRecorder
  */
 
-import { EventType, MutationType } from '../../shared/constants.js';
+import { EventType, MutationType, StyleSheetAction } from '../../shared/constants.js';
+import { PrivacyEngine } from '../PrivacyEngine.js';
 
 /**
  * Generates a unique CSS selector for an element
@@ -58,36 +59,255 @@ function getSelector(element) {
   return parts.join(' > ');
 }
 
+/**
+ * Gets the element an event really happened on, looking inside open shadow roots
+ * @param {Event} event
+ * @returns {Element}
+ */
+function getEventTarget(event) {
+  const path = event.composedPath ? event.composedPath() : [];
+  return /** @type {Element} */ (path[0] || event.target);
+}
+
+/**
+ * Gets the shadow host or iframe element that contains a node
+ * @param {Node} node
+ * @returns {Element|null}
+ */
+function getHostElement(node) {
+  const root = node.getRootNode();
+
+  if (root.host) {
+    return root.host;
+  }
+  if (root !== document && root.defaultView?.frameElement) {
+    return root.defaultView.frameElement;
+  }
+  return null;
+}
+
+/**
+ * Gets the position of a frame document's viewport within the top-level viewport
+ * @param {Document} doc
+ * @returns {{x: number, y: number}}
+ */
+function getFrameOffset(doc) {
+  const offset = { x: 0, y: 0 };
+  let win = doc.defaultView;
+
+  while (win && win.frameElement) {
+    const frame = win.frameElement;
+    const rect = frame.getBoundingClientRect();
+    offset.x += rect.left + frame.clientLeft;
+    offset.y += rect.top + frame.clientTop;
+    win = win.parent;
+  }
+
+  return offset;
+}
+
+/**
+ * Describes an event target for interaction events
+ * @param {Element} element
+ * @param {Function|null} getNodeId - Node ID lookup shared with DOMRecorder
+ * @returns {object} Selector, plus node and host IDs when available
+ */
+function describeTarget(element, getNodeId) {
+  const description = { selector: getSelector(element) };
+
+  if (getNodeId) {
+    description.nodeId = getNodeId(element);
+
+    const host = getHostElement(element);
+    if (host) {
+      description.hostId = getNodeId(host);
+    }
+  }
+
+  return description;
+}
+
+/**
+ * MutationObserver options used for the document and every nested root
+ */
+const OBSERVER_OPTIONS = {
+  childList: true,
+  attributes: true,
+  characterData: true,
+  subtree: true,
+  attributeOldValue: true,
+  characterDataOldValue: true
+};
+
+// Fallback flush delay for pages where animation frames do not run, such as background tabs
+const MUTATION_FLUSH_TIMEOUT = 100;
+
+/**
+ * Creates an empty set of mutations waiting to be flushed
+ * @returns {object}
+ */
+function createMutationBatch() {
+  return {
+    records: 0,
+    added: new Set(),
+    removed: new Set(),
+    attributes: new Map(),
+    texts: new Set()
+  };
+}
+
+/**
+ * Checks if a node is inside one of the given nodes, across shadow roots
+ * @param {Node} node
+ * @param {Set<Node>} ancestors
+ * @returns {boolean}
+ */
+function isInside(node, ancestors) {
+  let current = node.parentNode || node.host;
+  while (current) {
+    if (ancestors.has(current)) return true;
+    current = current.parentNode || current.host;
+  }
+  return false;
+}
+
+/**
+ * Serializes a doctype node
+ * @param {DocumentType|null} doctype
+ * @returns {object|null}
+ */
+function serializeDoctype(doctype) {
+  return doctype ? {
+    name: doctype.name,
+    publicId: doctype.publicId,
+    systemId: doctype.systemId
+  } : null;
+}
+
+/**
+ * Gets the document of a same-origin iframe
+ * @param {HTMLIFrameElement} frame
+ * @returns {Document|null}
+ */
+function getFrameDocument(frame) {
+  try {
+    return frame.contentDocument;
+  } catch (error) {
+    // Cross-origin frames are not recorded
+    return null;
+  }
+}
+
+/**
+ * Reads the rule texts of a stylesheet
+ * @param {CSSStyleSheet|null} sheet
+ * @returns {string[]|null} Rules, or null when the sheet cannot be read
+ */
+function getSheetRules(sheet) {
+  if (!sheet) return null;
+
+  try {
+    return Array.from(sheet.cssRules, rule => rule.cssText);
+  } catch (error) {
+    // Cross-origin stylesheets do not expose their rules
+    return null;
+  }
+}
+
+// Attributes a blocked element keeps, so page styles still place and size its placeholder
+const PLACEHOLDER_ATTRIBUTES = ['id', 'class', 'style'];
+
+/**
+ * Serializes a blocked element as an empty placeholder with its size
+ * @param {Element} element
+ * @param {object} options - Same options as serializeNode
+ * @returns {object}
+ */
+function serializePlaceholder(element, options) {
+  const serialized = {
+    type: element.nodeType,
+    name: element.nodeName
+  };
+
+  if (options.getNodeId) {
+    serialized.id = options.getNodeId(element);
+  }
+
+  for (const name of PLACEHOLDER_ATTRIBUTES) {
+    if (element.hasAttribute(name)) {
+      serialized.attrs ??= {};
+      serialized.attrs[name] = element.getAttribute(name);
+    }
+  }
+
+  // Width and height do not apply to inline boxes, so the replay needs to know
+  const rect = element.getBoundingClientRect();
+  const view = element.ownerDocument.defaultView;
+  serialized.blocked = {
+    width: Math.round(rect.width),
+    height: Math.round(rect.height),
+    inline: view?.getComputedStyle(element).display === 'inline'
+  };
+
+  return serialized;
+}
+
 /**
  * Serializes a DOM node for reconstruction
  * @param {Node} node
  * @param {Set<Element>} excludedElements
+ * @param {object} [options]
+ * @param {Function} [options.getNodeId] - Assigns the recorded ID of each node
+ * @param {WeakSet<CSSStyleSheet>} [options.modifiedSheets] - Sheets changed through the CSSOM
+ * @param {PrivacyEngine} [options.privacy] - Exclusion and masking rules
+ * @param {string} [options.excludeAttribute] - Attribute to mark excluded elements, without a privacy engine
+ * @param {Function} [options.serializeAdoptedSheets] - Serializes adopted stylesheets of nested roots
+ * @param {Function} [options.onRoot] - Called with each shadow root or frame document and its host
+ * @param {Function} [options.onFrame] - Called with each iframe element
  * @returns {object|null}
  */
-function serializeNode(node, excludedElements = new Set()) {
+function serializeNode(node, excludedElements = new Set(), options = {}) {
   if (!node) return null;
 
-  if (node.nodeType === Node.ELEMENT_NODE && excludedElements.has(node)) {
+  const privacy = options.privacy;
+  const excludeAttribute = privacy ? privacy.excludeAttribute : options.excludeAttribute;
+
+  if (node.nodeType === Node.ELEMENT_NODE &&
+      (excludedElements.has(node) ||
+       (excludeAttribute && node.hasAttribute(excludeAttribute)))) {
     return null;
   }
 
+  // Blocked elements keep their box but none of their content
+  if (privacy?.matchesBlock(node)) {
+    return serializePlaceholder(/** @type {Element} */ (node), options);
+  }
+
   const serialized = {
     type: node.nodeType,
     name: node.nodeName
   };
 
+  if (options.getNodeId) {
+    serialized.id = options.getNodeId(node);
+  }
+
   if (node.nodeType === Node.TEXT_NODE) {
-    serialized.text = node.textContent;
+    serialized.text = privacy ? privacy.getText(node) : node.textContent;
   } else if (node.nodeType === Node.COMMENT_NODE) {
     serialized.text = node.textContent;
   } else if (node.nodeType === Node.ELEMENT_NODE) {
     const element = /** @type {Element} */ (node);
+    const isField = element.tagName === 'INPUT' || element.tagName === 'TEXTAREA';
+    const isMasked = isField && privacy?.isInputMasked(element);
 
-    // Serialize attributes
+    // Serialize attributes; a pre-filled value attribute is masked like the typed value
     if (element.attributes.length > 0) {
       serialized.attrs = {};
       for (const attr of element.attributes) {
-        serialized.attrs[attr.name] = attr.value;
+        serialized.attrs[attr.name] = isMasked && attr.name === 'value'
+          ? privacy.maskValue(attr.value)
+          : attr.value;
       }
     }
 
@@ -95,20 +315,96 @@ function serializeNode(node, excludedElements = new Set()) {
     if (element.childNodes.length > 0) {
       serialized.children = [];
       for (const child of element.childNodes) {
-        const childSerialized = serializeNode(child, excludedElements);
+        const childSerialized = serializeNode(child, excludedElements, options);
         if (childSerialized) {
           serialized.children.push(childSerialized);
         }
       }
     }
 
+    // Open shadow roots and same-origin frame documents are nested subtrees
+    if (element.shadowRoot) {
+      serialized.shadowRoot = serializeRoot(element.shadowRoot, element, excludedElements, options);
+    }
+    if (element.tagName === 'IFRAME') {
+      options.onFrame?.(element);
+
+      const frameDocument = getFrameDocument(/** @type {HTMLIFrameElement} */ (element));
+      if (frameDocument?.documentElement) {
+        serialized.contentDocument = serializeRoot(frameDocument, element, excludedElements, options);
+      }
+    }
+
+    // Stylesheet rules that the markup alone does not reproduce
+    if (element.tagName === 'LINK' && /\bstylesheet\b/i.test(element.rel)) {
+      const rules = getSheetRules(element.sheet);
+      if (rules) {
+        serialized.cssRules = rules;
+      }
+    } else if (element.tagName === 'STYLE' && element.sheet) {
+      const isCSSOMOnly = !element.textContent.trim() ||
+        options.modifiedSheets?.has(element.sheet);
+      const rules = isCSSOMOnly ? getSheetRules(element.sheet) : null;
+      if (rules) {
+        serialized.cssRules = rules;
+      }
+    }
+
     // Special handling for certain elements
-    if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') {
-      serialized.value = element.value || '';
+    if (isField) {
+      serialized.value = isMasked ? privacy.maskValue(element.value) : element.value || '';
+    }
+    if (element.tagName === 'INPUT' && (element.type === 'checkbox' || element.type === 'radio')) {
+      serialized.checked = element.checked;
     }
     if (element.tagName === 'SELECT') {
       serialized.selectedIndex = element.selectedIndex;
     }
+
+    // Scrolled containers; the top-level viewport is recorded as the snapshot's scroll
+    if ((element.scrollTop || element.scrollLeft) && element !== document.scrollingElement) {
+      serialized.scrollTop = element.scrollTop;
+      serialized.scrollLeft = element.scrollLeft;
+    }
+  }
+
+  return serialized;
+}
+
+/**
+ * Serializes a shadow root or frame document hosted by an element
+ * @param {ShadowRoot|Document} root
+ * @param {Element} host - Shadow host or iframe element
+ * @param {Set<Element>} excludedElements
+ * @param {object} options - Same options as serializeNode
+ * @returns {object}
+ */
+function serializeRoot(root, host, excludedElements, options) {
+  options.onRoot?.(root, host);
+
+  const serialized = {};
+
+  if (options.getNodeId) {
+    serialized.id = options.getNodeId(root);
+  }
+
+  if (root.nodeType === Node.DOCUMENT_NODE) {
+    const doc = /** @type {Document} */ (root);
+    serialized.doctype = serializeDoctype(doc.doctype);
+    serialized.url = doc.URL;
+    serialized.html = serializeNode(doc.documentElement, excludedElements, options);
+  } else {
+    serialized.children = [];
+    for (const child of root.childNodes) {
+      const childSerialized = serializeNode(child, excludedElements, options);
+      if (childSerialized) {
+        serialized.children.push(childSerialized);
+      }
+    }
+  }
+
+  if (root.adoptedStyleSheets?.length && options.serializeAdoptedSheets) {
+    serialized.adoptedStyleSheets = options.serializeAdoptedSheets(root.adoptedStyleSheets);
   }
 
   return serialized;
@@ -121,14 +417,47 @@ export class DOMRecorder {
   /**
    * @param {object} options
    * @param {Function} options.onEvent - Callback for recorded events
-   * @param {string} options.excludeAttribute - Attribute to mark excluded elements
+   * @param {PrivacyEngine} options.privacy - Exclusion and masking rules shared with the other recorders
+   * @param {string} options.excludeAttribute - Attribute to mark excluded elements, without a privacy engine
+   * @param {number} options.checkpointInterval - Ms between checkpoint snapshots (0 disables)
+   * @param {number} options.checkpointMutations - Mutations between checkpoint snapshots (0 disables)
+   * @param {Function} options.onDocument - Called with each same-origin frame document and its iframe
+   * @param {Function} options.onShadowRoot - Called with each recorded shadow root and its host
    */
   constructor(options = {}) {
     this.onEvent = options.onEvent || (() => {});
-    this.excludeAttribute = options.excludeAttribute || 'data-ym-disable';
+    this.privacy = options.privacy || new PrivacyEngine({ excludeAttribute: options.excludeAttribute });
+    this.excludeAttribute = this.privacy.excludeAttribute;
+    this.checkpointInterval = options.checkpointInterval || 0;
+    this.checkpointMutations = options.checkpointMutations || 0;
+    this.onDocument = options.onDocument || (() => {});
+    this.onShadowRoot = options.onShadowRoot || (() => {});
     this.observer = null;
+    this.roots = new Map();
+    this.rootObservers = new Map();
+    this.frameDocuments = new WeakMap();
+    this.originalAttachShadow = null;
+    this.checkpointTimer = null;
+    this.mutationCount = 0;
+    this.pendingMutations = createMutationBatch();
+    this.flushFrame = null;
+    this.flushTimer = null;
+    this.mutationStats = { records: 0, batches: 0, changes: 0 };
     this.nodeIdMap = new WeakMap();
     this.nextNodeId = 1;
+    this.sheetIdMap = new WeakMap();
+    this.nextSheetId = 1;
+    this.sentSheets = new WeakSet();
+    this.modifiedSheets = new WeakSet();
+    this.originalStyleSheetMethods = null;
+    this.serializeOptions = {
+      getNodeId: node => this.getNodeId(node),
+      modifiedSheets: this.modifiedSheets,
+      privacy: this.privacy,
+      serializeAdoptedSheets: sheets => this.serializeAdoptedSheets(sheets),
+      onRoot: (root, host) => this.registerRoot(root, host),
+      onFrame: frame => this.watchFrame(frame)
+    };
   }
 
   /**
@@ -144,33 +473,59 @@ export class DOMRecorder {
   }
 
   /**
-   * Checks if an element should be excluded from recording
-   * @param {Element} element
-   * @returns {boolean}
+   * Gets or assigns a unique ID for a constructed stylesheet
+   * @param {CSSStyleSheet} sheet
+   * @returns {number}
    */
-  isExcluded(element) {
-    if (!element || element.nodeType !== Node.ELEMENT_NODE) {
-      return false;
+  getSheetId(sheet) {
+    if (!this.sheetIdMap.has(sheet)) {
+      this.sheetIdMap.set(sheet, this.nextSheetId++);
     }
+    return this.sheetIdMap.get(sheet);
+  }
 
-    // Check if element or any ancestor has exclude attribute
-    let current = element;
-    while (current && current.nodeType === Node.ELEMENT_NODE) {
-      if (current.hasAttribute(this.excludeAttribute)) {
-        return true;
+  /**
+   * Serializes adopted stylesheets, including rules the replay has not seen yet
+   * @param {CSSStyleSheet[]} sheets
+   * @returns {object[]}
+   */
+  serializeAdoptedSheets(sheets) {
+    return Array.from(sheets || [], sheet => {
+      const serialized = { id: this.getSheetId(sheet) };
+
+      if (!this.sentSheets.has(sheet)) {
+        serialized.rules = getSheetRules(sheet) || [];
+        this.sentSheets.add(sheet);
       }
-      current = current.parentElement;
-    }
-    return false;
+
+      return serialized;
+    });
+  }
+
+  /**
+   * Gets the ID of a sibling node, or null when there is none
+   * @param {Node|null} node
+   * @returns {number|null}
+   */
+  getSiblingId(node) {
+    return node ? this.getNodeId(node) : null;
   }
 
   /**
-   * Captures initial DOM snapshot
+   * Captures a full DOM snapshot
+   * @param {string} [checkpoint] - Why a checkpoint is taken; omitted for the initial snapshot
    * @returns {object}
    */
-  captureSnapshot() {
+  captureSnapshot(checkpoint) {
+    // Emit queued mutations first so they are not replayed on top of the snapshot
+    this.flushMutations();
+    this.mutationCount = 0;
+
     const excludedElements = new Set();
 
+    // Every checkpoint carries the full rules of adopted sheets
+    this.sentSheets = new WeakSet();
+
     // Find all excluded elements
     document.querySelectorAll(`[${this.excludeAttribute}]`).forEach(el => {
       excludedElements.add(el);
@@ -181,14 +536,11 @@ export class DOMRecorder {
       type: EventType.DOM_SNAPSHOT,
       timestamp: Date.now(),
       data: {
-        doctype: document.doctype ? {
-          name: document.doctype.name,
-          publicId: document.doctype.publicId,
-          systemId: document.doctype.systemId
-        } : null,
-        html: serializeNode(document.documentElement, excludedElements),
+        doctype: serializeDoctype(document.doctype),
+        html: serializeNode(document.documentElement, excludedElements, this.serializeOptions),
+        adoptedStyleSheets: this.serializeAdoptedSheets(document.adoptedStyleSheets),
         url: window.location.href,
-        title: document.title,
+        title: this.privacy.getTitle(),
         viewport: {
           width: window.innerWidth,
           height: window.innerHeight
@@ -200,10 +552,41 @@ export class DOMRecorder {
       }
     };
 
+    // Pinch-zoom state, so seeking to a checkpoint restores it
+    if (window.visualViewport) {
+      snapshot.data.visualViewport = {
+        scale: window.visualViewport.scale,
+        offsetLeft: window.visualViewport.offsetLeft,
+        offsetTop: window.visualViewport.offsetTop
+      };
+    }
+
+    if (checkpoint) {
+      snapshot.data.checkpoint = checkpoint;
+    }
+
+    this.restartCheckpointTimer();
+
     this.onEvent(snapshot);
     return snapshot;
   }
 
+  /**
+   * Restarts the periodic checkpoint timer while recording
+   */
+  restartCheckpointTimer() {
+    if (this.checkpointTimer) {
+      clearInterval(this.checkpointTimer);
+      this.checkpointTimer = null;
+    }
+
+    if (!this.observer || !this.checkpointInterval) return;
+
+    this.checkpointTimer = setInterval(() => {
+      this.captureSnapshot('interval');
+    }, this.checkpointInterval);
+  }
+
   /**
    * Starts recording DOM mutations
    */
@@ -216,88 +599,517 @@ export class DOMRecorder {
       this.processMutations(mutations);
     });
 
-    this.observer.observe(document.documentElement, {
-      childList: true,
-      attributes: true,
-      characterData: true,
-      subtree: true,
-      attributeOldValue: true,
-      characterDataOldValue: true
+    this.observer.observe(document.documentElement, OBSERVER_OPTIONS);
+
+    // Roots found by the snapshot get their own observers
+    for (const root of this.roots.keys()) {
+      this.observeRoot(root);
+    }
+
+    this.patchStyleSheets();
+    this.patchAttachShadow();
+    this.restartCheckpointTimer();
+  }
+
+  /**
+   * Registers a shadow root or frame document found while serializing
+   * @param {ShadowRoot|Document} root
+   * @param {Element} host - Shadow host or iframe element
+   */
+  registerRoot(root, host) {
+    if (this.roots.has(root)) return;
+
+    this.roots.set(root, host);
+
+    if (root.nodeType === Node.DOCUMENT_NODE) {
+      this.frameDocuments.set(host, root);
+      this.onDocument(root, host);
+    } else {
+      this.onShadowRoot(root, host);
+    }
+
+    if (this.observer) {
+      this.observeRoot(root);
+    }
+  }
+
+  /**
+   * Observes mutations inside a shadow root or frame document
+   * @param {ShadowRoot|Document} root
+   */
+  observeRoot(root) {
+    if (this.rootObservers.has(root)) return;
+
+    const observer = new MutationObserver(mutations => {
+      this.processMutations(mutations);
+    });
+    observer.observe(root, OBSERVER_OPTIONS);
+    this.rootObservers.set(root, observer);
+  }
+
+  /**
+   * Stops observing a root that is no longer part of the page
+   * @param {ShadowRoot|Document} root
+   */
+  forgetRoot(root) {
+    this.rootObservers.get(root)?.disconnect();
+    this.rootObservers.delete(root);
+    this.roots.delete(root);
+  }
+
+  /**
+   * Re-records an iframe whenever it loads a new document
+   * @param {HTMLIFrameElement} frame
+   */
+  watchFrame(frame) {
+    if (this.frameDocuments.has(frame)) return;
+
+    // Mark the frame as watched until its document is registered
+    this.frameDocuments.set(frame, null);
+
+    frame.addEventListener('load', () => {
+      if (!this.observer || this.privacy.isExcluded(frame)) return;
+
+      const frameDocument = getFrameDocument(frame);
+      const previous = this.frameDocuments.get(frame);
+      if (!frameDocument?.documentElement || frameDocument === previous) return;
+
+      if (previous) {
+        this.forgetRoot(previous);
+      }
+
+      this.flushMutations();
+      this.onEvent({
+        type: EventType.DOM_MUTATION,
+        timestamp: Date.now(),
+        data: {
+          targetId: this.getNodeId(frame),
+          targetSelector: getSelector(frame),
+          mutationType: MutationType.ATTACH_ROOT,
+          contentDocument: serializeRoot(frameDocument, frame, new Set(), this.serializeOptions)
+        }
+      });
+    });
+  }
+
+  /**
+   * Wraps Element.attachShadow so shadow roots created after the snapshot
+   * are recorded and observed
+   */
+  patchAttachShadow() {
+    if (typeof Element === 'undefined' || !Element.prototype.attachShadow ||
+        this.originalAttachShadow) return;
+
+    const recorder = this;
+    const original = Element.prototype.attachShadow;
+    this.originalAttachShadow = original;
+
+    Element.prototype.attachShadow = function attachShadow(init) {
+      const shadowRoot = original.call(this, init);
+
+      // Hosts outside the document are serialized with their root when inserted
+      if (init?.mode === 'open' && this.isConnected && recorder.observer &&
+          !recorder.privacy.isExcluded(this) && !recorder.privacy.isBlocked(this)) {
+        recorder.flushMutations();
+        recorder.onEvent({
+          type: EventType.DOM_MUTATION,
+          timestamp: Date.now(),
+          data: {
+            targetId: recorder.getNodeId(this),
+            targetSelector: getSelector(this),
+            mutationType: MutationType.ATTACH_ROOT,
+            shadowRoot: serializeRoot(shadowRoot, this, new Set(), recorder.serializeOptions)
+          }
+        });
+      }
+
+      return shadowRoot;
+    };
+  }
+
+  /**
+   * Restores Element.attachShadow
+   */
+  unpatchAttachShadow() {
+    if (!this.originalAttachShadow) return;
+
+    Element.prototype.attachShadow = this.originalAttachShadow;
+    this.originalAttachShadow = null;
+  }
+
+  /**
+   * Wraps CSSOM methods so rules added by CSS-in-JS libraries are recorded,
+   * the same way NavigationRecorder wraps the History API
+   */
+  patchStyleSheets() {
+    if (typeof CSSStyleSheet === 'undefined' || this.originalStyleSheetMethods) return;
+
+    const recorder = this;
+    const proto = CSSStyleSheet.prototype;
+    const original = {
+      insertRule: proto.insertRule,
+      deleteRule: proto.deleteRule,
+      replace: proto.replace,
+      replaceSync: proto.replaceSync,
+      adoptedStyleSheets: Object.getOwnPropertyDescriptor(Document.prototype, 'adoptedStyleSheets'),
+      shadowAdoptedStyleSheets: typeof ShadowRoot !== 'undefined'
+        ? Object.getOwnPropertyDescriptor(ShadowRoot.prototype, 'adoptedStyleSheets')
+        : undefined
+    };
+    this.originalStyleSheetMethods = original;
+
+    proto.insertRule = function insertRule(rule, index) {
+      const insertedIndex = original.insertRule.call(this, rule, index);
+      recorder.recordStyleSheetRule(this, {
+        action: StyleSheetAction.INSERT_RULE,
+        rule,
+        index: insertedIndex
+      });
+      return insertedIndex;
+    };
+
+    proto.deleteRule = function deleteRule(index) {
+      original.deleteRule.call(this, index);
+      recorder.recordStyleSheetRule(this, {
+        action: StyleSheetAction.DELETE_RULE,
+        index
+      });
+    };
+
+    if (original.replace) {
+      proto.replace = function replace(text) {
+        return original.replace.call(this, text).then(sheet => {
+          recorder.recordStyleSheetRule(this, { action: StyleSheetAction.REPLACE, text });
+          return sheet;
+        });
+      };
+    }
+
+    if (original.replaceSync) {
+      proto.replaceSync = function replaceSync(text) {
+        original.replaceSync.call(this, text);
+        recorder.recordStyleSheetRule(this, { action: StyleSheetAction.REPLACE, text });
+      };
+    }
+
+    if (original.adoptedStyleSheets?.set) {
+      Object.defineProperty(Document.prototype, 'adoptedStyleSheets', {
+        ...original.adoptedStyleSheets,
+        set(sheets) {
+          original.adoptedStyleSheets.set.call(this, sheets);
+          if (this === document) {
+            recorder.recordAdoptedStyleSheets(null, sheets);
+          }
+        }
+      });
+    }
+
+    if (original.shadowAdoptedStyleSheets?.set) {
+      Object.defineProperty(ShadowRoot.prototype, 'adoptedStyleSheets', {
+        ...original.shadowAdoptedStyleSheets,
+        set(sheets) {
+          original.shadowAdoptedStyleSheets.set.call(this, sheets);
+          if (recorder.roots.has(this)) {
+            recorder.recordAdoptedStyleSheets(recorder.getNodeId(this), sheets);
+          }
+        }
+      });
+    }
+  }
+
+  /**
+   * Restores the CSSOM methods wrapped by patchStyleSheets
+   */
+  unpatchStyleSheets() {
+    const original = this.originalStyleSheetMethods;
+    if (!original) return;
+
+    const proto = CSSStyleSheet.prototype;
+    proto.insertRule = original.insertRule;
+    proto.deleteRule = original.deleteRule;
+    if (original.replace) proto.replace = original.replace;
+    if (original.replaceSync) proto.replaceSync = original.replaceSync;
+    if (original.adoptedStyleSheets) {
+      Object.defineProperty(Document.prototype, 'adoptedStyleSheets', original.adoptedStyleSheets);
+    }
+    if (original.shadowAdoptedStyleSheets) {
+      Object.defineProperty(ShadowRoot.prototype, 'adoptedStyleSheets', original.shadowAdoptedStyleSheets);
+    }
+
+    this.originalStyleSheetMethods = null;
+  }
+
+  /**
+   * Records a rule change on a stylesheet
+   * @param {CSSStyleSheet} sheet
+   * @param {object} change - Action and its rule, index or text
+   */
+  recordStyleSheetRule(sheet, change) {
+    if (!this.observer) return;
+
+    const data = { ...change };
+
+    if (sheet.ownerNode) {
+      if (this.privacy.isExcluded(sheet.ownerNode) || this.privacy.isBlocked(sheet.ownerNode)) return;
+      this.modifiedSheets.add(sheet);
+      data.ownerId = this.getNodeId(sheet.ownerNode);
+    } else if (this.sentSheets.has(sheet)) {
+      // Constructed sheets are sent in full when first adopted
+      data.sheetId = this.getSheetId(sheet);
+    } else {
+      return;
+    }
+
+    this.flushMutations();
+    this.onEvent({
+      type: EventType.STYLE_SHEET_RULE,
+      timestamp: Date.now(),
+      data
+    });
+  }
+
+  /**
+   * Records a new adoptedStyleSheets list
+   * @param {number|null} ownerId - Shadow root ID, or null for the document
+   * @param {CSSStyleSheet[]} sheets
+   */
+  recordAdoptedStyleSheets(ownerId, sheets) {
+    if (!this.observer) return;
+
+    this.flushMutations();
+    this.onEvent({
+      type: EventType.ADOPTED_STYLE_SHEETS,
+      timestamp: Date.now(),
+      data: {
+        ownerId,
+        sheets: this.serializeAdoptedSheets(sheets)
+      }
     });
   }
 
   /**
-   * Processes mutation records
+   * Merges mutation records into the pending batch
    * @param {MutationRecord[]} mutations
    */
   processMutations(mutations) {
-    const events = [];
+    const batch = this.pendingMutations;
 
     for (const mutation of mutations) {
-      // Skip mutations in excluded elements
+      // Skip mutations in excluded elements, and in blocked ones, whose placeholder has no content
       if (mutation.target.nodeType === Node.ELEMENT_NODE &&
-          this.isExcluded(/** @type {Element} */ (mutation.target))) {
+          (this.privacy.isExcluded(/** @type {Element} */ (mutation.target)) ||
+           this.privacy.isBlocked(mutation.target))) {
         continue;
       }
 
-      const event = {
-        type: EventType.DOM_MUTATION,
-        timestamp: Date.now(),
-        data: {
-          targetId: this.getNodeId(mutation.target),
-          targetSelector: getSelector(mutation.target)
-        }
-      };
+      batch.records++;
 
       switch (mutation.type) {
         case 'childList':
-          event.data.mutationType = MutationType.CHILD_LIST;
-          event.data.addedNodes = Array.from(mutation.addedNodes)
-            .filter(node => {
-              if (node.nodeType === Node.ELEMENT_NODE) {
-                return !this.isExcluded(/** @type {Element} */ (node));
-              }
-              return true;
-            })
-            .map(node => ({
-              id: this.getNodeId(node),
-              node: serializeNode(node)
-            }));
-          event.data.removedNodes = Array.from(mutation.removedNodes)
-            .map(node => this.getNodeId(node));
+          for (const node of mutation.removedNodes) {
+            // A node added and removed within the batch never reaches the replay
+            if (!batch.added.delete(node)) {
+              batch.removed.add(node);
+            }
+          }
+          for (const node of mutation.addedNodes) {
+            batch.added.add(node);
+          }
           break;
 
-        case 'attributes':
-          event.data.mutationType = MutationType.ATTRIBUTES;
-          event.data.attributeName = mutation.attributeName;
-          event.data.oldValue = mutation.oldValue;
-          event.data.newValue = mutation.target.getAttribute(mutation.attributeName);
+        case 'attributes': {
+          // Only the attribute names are kept; values are read when flushing
+          const names = batch.attributes.get(mutation.target) || new Set();
+          names.add(mutation.attributeName);
+          batch.attributes.set(mutation.target, names);
           break;
+        }
 
         case 'characterData':
-          event.data.mutationType = MutationType.CHARACTER_DATA;
-          event.data.oldValue = mutation.oldValue;
-          event.data.newValue = mutation.target.textContent;
+          batch.texts.add(mutation.target);
           break;
       }
+    }
 
-      events.push(event);
+    if (batch.records > 0) {
+      this.scheduleFlush();
     }
+  }
+
+  /**
+   * Flushes the pending batch on the next animation frame
+   */
+  scheduleFlush() {
+    if (this.flushTimer) return;
+
+    const flush = () => {
+      this.flushMutations();
+      if (this.checkpointMutations && this.mutationCount >= this.checkpointMutations) {
+        this.captureSnapshot('mutations');
+      }
+    };
 
-    if (events.length > 0) {
-      events.forEach(event => this.onEvent(event));
+    this.flushTimer = setTimeout(flush, MUTATION_FLUSH_TIMEOUT);
+    if (typeof requestAnimationFrame === 'function') {
+      this.flushFrame = requestAnimationFrame(flush);
     }
   }
 
+  /**
+   * Cancels a scheduled flush
+   */
+  cancelFlush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    if (this.flushFrame) {
+      cancelAnimationFrame(this.flushFrame);
+      this.flushFrame = null;
+    }
+  }
+
+  /**
+   * Emits queued mutations as one DOM_MUTATION event with their final state
+   * @returns {number} Number of changes emitted
+   */
+  flushMutations() {
+    this.cancelFlush();
+
+    // Records the observers have not delivered yet belong to this batch
+    if (this.observer) {
+      this.processMutations(this.observer.takeRecords());
+    }
+    for (const observer of this.rootObservers.values()) {
+      this.processMutations(observer.takeRecords());
+    }
+    this.cancelFlush();
+
+    const batch = this.pendingMutations;
+    this.pendingMutations = createMutationBatch();
+    if (batch.records === 0) return 0;
+
+    // Nodes still in the page whose ancestors were not added as well
+    const added = new Set();
+    for (const node of batch.added) {
+      if (node.isConnected && !this.privacy.isExcluded(/** @type {Element} */ (node))) {
+        added.add(node);
+      }
+    }
+    const roots = Array.from(added).filter(node => !isInside(node, added));
+
+    // Later siblings first, so each node can be inserted before its next sibling
+    roots.sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? 1 : -1));
+
+    // Changes inside added subtrees are part of their serialization
+    const isKnown = node => this.nodeIdMap.has(node) && node.isConnected &&
+      !added.has(node) && !isInside(node, added);
+
+    const data = { mutationType: MutationType.BATCH };
+
+    const removes = Array.from(batch.removed)
+      .filter(node => this.nodeIdMap.has(node))
+      .map(node => this.getNodeId(node));
+    if (removes.length > 0) {
+      data.removes = removes;
+    }
+
+    const adds = roots.map(node => ({
+      id: this.getNodeId(node),
+      parentId: this.getNodeId(node.parentNode),
+      previousId: this.getSiblingId(node.previousSibling),
+      nextId: this.getSiblingId(node.nextSibling),
+      node: serializeNode(node, new Set(), this.serializeOptions)
+    }));
+    if (adds.length > 0) {
+      data.adds = adds;
+    }
+
+    const attributes = [];
+    for (const [node, names] of batch.attributes) {
+      if (!isKnown(node)) continue;
+
+      const attrs = {};
+      for (const name of names) {
+        const value = node.getAttribute(name);
+        attrs[name] = name === 'value' && value !== null &&
+          (node.tagName === 'INPUT' || node.tagName === 'TEXTAREA')
+          ? this.privacy.getInputValue(node, value)
+          : value;
+      }
+      attributes.push({ id: this.getNodeId(node), attrs });
+    }
+    if (attributes.length > 0) {
+      data.attributes = attributes;
+    }
+
+    const texts = [];
+    for (const node of batch.texts) {
+      if (isKnown(node)) {
+        texts.push({ id: this.getNodeId(node), text: this.privacy.getText(node) });
+      }
+    }
+    if (texts.length > 0) {
+      data.texts = texts;
+    }
+
+    const changes = removes.length + adds.length + attributes.length + texts.length;
+    this.mutationStats.records += batch.records;
+    if (changes === 0) return 0;
+
+    this.mutationStats.batches++;
+    this.mutationStats.changes += changes;
+    this.mutationCount += changes;
+
+    this.onEvent({
+      type: EventType.DOM_MUTATION,
+      timestamp: Date.now(),
+      data
+    });
+
+    return changes;
+  }
+
+  /**
+   * Gets how many mutation records were merged into how many events
+   * @returns {{records: number, batches: number, changes: number}}
+   */
+  getMutationStats() {
+    return { ...this.mutationStats };
+  }
+
   /**
    * Stops recording DOM mutations
    */
   stop() {
+    // Mutations made before stopping are still part of the session
+    this.flushMutations();
+
     if (this.observer) {
       this.observer.disconnect();
       this.observer = null;
     }
+
+    for (const observer of this.rootObservers.values()) {
+      observer.disconnect();
+    }
+    this.rootObservers.clear();
+
+    this.unpatchStyleSheets();
+    this.unpatchAttachShadow();
+
+    if (this.checkpointTimer) {
+      clearInterval(this.checkpointTimer);
+      this.checkpointTimer = null;
+    }
   }
 }
 
-export { getSelector, serializeNode };
+export {
+  getSelector,
+  serializeNode,
+  getEventTarget,
+  getHostElement,
+  getFrameOffset,
+  describeTarget
+};
@@ -3,8 +3,9 @@
  * @module InputRecorder
  */
 
-import { EventType, SENSITIVE_INPUT_TYPES, SENSITIVE_NAME_PATTERNS } from '../../shared/constants.js';
-import { getSelector } from './DOMRecorder.js';
+import { EventType } from '../../shared/constants.js';
+import { PrivacyEngine } from '../PrivacyEngine.js';
+import { describeTarget, getEventTarget } from './DOMRecorder.js';
 
 /**
  * InputRecorder class - Records input events with masking
@@ -13,93 +14,109 @@ export class InputRecorder {
   /**
    * @param {object} options
    * @param {Function} options.onEvent - Callback for recorded events
-   * @param {boolean} options.maskAllInputs - Mask all input values
-   * @param {boolean} options.maskSensitiveInputs - Auto-mask sensitive inputs
-   * @param {string} options.excludeAttribute - Attribute to mark excluded elements
+   * @param {PrivacyEngine} options.privacy - Exclusion and masking rules shared with the other recorders
+   * @param {boolean} options.maskAllInputs - Mask all input values, without a privacy engine
+   * @param {boolean} options.maskSensitiveInputs - Auto-mask sensitive inputs, without a privacy engine
+   * @param {string} options.excludeAttribute - Attribute to mark excluded elements, without a privacy engine
+   * @param {Function} options.getNodeId - Node ID lookup shared with DOMRecorder
    */
   constructor(options = {}) {
     this.onEvent = options.onEvent || (() => {});
-    this.maskAllInputs = options.maskAllInputs || false;
-    this.maskSensitiveInputs = options.maskSensitiveInputs !== false;
-    this.excludeAttribute = options.excludeAttribute || 'data-ym-disable';
+    this.privacy = options.privacy || new PrivacyEngine({
+      maskAllInputs: options.maskAllInputs,
+      maskSensitiveInputs: options.maskSensitiveInputs,
+      excludeAttribute: options.excludeAttribute
+    });
+    this.getNodeId = options.getNodeId || null;
 
     this.handlers = {};
+    this.documents = new Set([document]);
+    this.shadowRoots = new Set();
     this.isRecording = false;
   }
 
   /**
-   * Checks if an element should be excluded from recording
-   * @param {Element} element
-   * @returns {boolean}
+   * Records inputs inside another document, such as a same-origin iframe
+   * @param {Document} doc
    */
-  isExcluded(element) {
-    if (!element) return false;
+  addDocument(doc) {
+    if (this.documents.has(doc)) return;
 
-    let current = element;
-    while (current && current.nodeType === Node.ELEMENT_NODE) {
-      if (current.hasAttribute(this.excludeAttribute)) {
-        return true;
-      }
-      current = current.parentElement;
+    this.documents.add(doc);
+    if (this.isRecording) {
+      this.attachDocument(doc);
     }
-    return false;
   }
 
   /**
-   * Determines if an input should be masked
-   * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} element
-   * @returns {boolean}
+   * Records changes inside a shadow root. Change events are not composed, so
+   * document listeners never see the ones fired inside it
+   * @param {ShadowRoot} root
    */
-  shouldMask(element) {
-    if (this.maskAllInputs) {
-      return true;
-    }
-
-    if (!this.maskSensitiveInputs) {
-      return false;
-    }
+  addShadowRoot(root) {
+    if (this.shadowRoots.has(root)) return;
 
-    // Check input type
-    if (element instanceof HTMLInputElement) {
-      const inputType = element.type.toLowerCase();
-      if (SENSITIVE_INPUT_TYPES.includes(inputType)) {
-        return true;
-      }
-
-      // Check autocomplete attribute
-      const autocomplete = element.autocomplete?.toLowerCase() || '';
-      if (SENSITIVE_INPUT_TYPES.some(t => autocomplete.includes(t))) {
-        return true;
-      }
+    this.shadowRoots.add(root);
+    if (this.isRecording) {
+      this.attachShadowRoot(root);
     }
+  }
 
-    // Check name attribute against sensitive patterns
-    const name = element.name || '';
-    const id = element.id || '';
-    const placeholder = element.placeholder || '';
+  /**
+   * Adds the listeners for events that stay inside a shadow root
+   * @param {ShadowRoot} root
+   */
+  attachShadowRoot(root) {
+    root.addEventListener('change', this.handlers.change, { capture: true });
+  }
 
-    for (const pattern of SENSITIVE_NAME_PATTERNS) {
-      if (pattern.test(name) || pattern.test(id) || pattern.test(placeholder)) {
-        return true;
-      }
-    }
+  /**
+   * Removes shadow root listeners
+   * @param {ShadowRoot} root
+   */
+  detachShadowRoot(root) {
+    root.removeEventListener('change', this.handlers.change, { capture: true });
+  }
 
-    // Check for explicit masking attribute
-    if (element.hasAttribute('data-ym-mask')) {
-      return true;
-    }
+  /**
+   * Adds document-level listeners
+   * @param {Document} doc
+   */
+  attachDocument(doc) {
+    doc.addEventListener('input', this.handlers.input, { capture: true });
+    doc.addEventListener('change', this.handlers.change, { capture: true });
+    doc.addEventListener('focus', this.handlers.focus, { capture: true });
+    doc.addEventListener('blur', this.handlers.blur, { capture: true });
+  }
 
-    return false;
+  /**
+   * Removes document-level listeners
+   * @param {Document} doc
+   */
+  detachDocument(doc) {
+    doc.removeEventListener('input', this.handlers.input, { capture: true });
+    doc.removeEventListener('change', this.handlers.change, { capture: true });
+    doc.removeEventListener('focus', this.handlers.focus, { capture: true });
+    doc.removeEventListener('blur', this.handlers.blur, { capture: true });
   }
 
   /**
-   * Masks a value for privacy
-   * @param {string} value
-   * @returns {string}
+   * Records that a field inside a blocked element was used, without its value
+   * @param {Element} blocked - The blocked element, recorded as the target
+   * @param {string} tagName - Tag name of the field
+   * @param {string} action - Event type: 'input', 'change', 'focus' or 'blur'
    */
-  maskValue(value) {
-    if (!value) return '';
-    return '*'.repeat(Math.min(value.length, 20));
+  recordBlockedInput(blocked, tagName, action) {
+    this.onEvent({
+      type: EventType.INPUT,
+      timestamp: Date.now(),
+      data: {
+        ...describeTarget(blocked, this.getNodeId),
+        blocked: true,
+        tagName,
+        action
+      }
+    });
   }
 
   /**
@@ -111,23 +128,29 @@ export class InputRecorder {
 
     // Input handler for text inputs
     this.handlers.input = (e) => {
-      const target = /** @type {HTMLInputElement|HTMLTextAreaElement} */ (e.target);
+      const target = /** @type {HTMLInputElement|HTMLTextAreaElement} */ (getEventTarget(e));
 
-      if (!target || this.isExcluded(target)) return;
+      if (!target || this.privacy.isExcluded(target)) return;
 
       const tagName = target.tagName;
       if (tagName !== 'INPUT' && tagName !== 'TEXTAREA') return;
 
-      const isMasked = this.shouldMask(target);
-      const value = isMasked ? this.maskValue(target.value) : target.value;
+      const blocked = this.privacy.getBlockedElement(target);
+      if (blocked) {
+        this.recordBlockedInput(blocked, tagName, 'input');
+        return;
+      }
+
+      const isMasked = this.privacy.isInputMasked(target);
+      const value = isMasked ? this.privacy.maskValue(target.value) : target.value;
 
       this.onEvent({
         type: EventType.INPUT,
         timestamp: Date.now(),
         data: {
-          selector: getSelector(target),
+          ...describeTarget(target, this.getNodeId),
           tagName: tagName,
-          inputType: target instanceof HTMLInputElement ? target.type : 'textarea',
+          inputType: tagName === 'INPUT' ? target.type : 'textarea',
           value: value,
           masked: isMasked,
           selectionStart: target.selectionStart,
@@ -138,23 +161,34 @@ export class InputRecorder {
 
     // Change handler for select elements and checkboxes/radios
     this.handlers.change = (e) => {
-      const target = /** @type {HTMLSelectElement|HTMLInputElement} */ (e.target);
+      const target = /** @type {HTMLSelectElement|HTMLInputElement} */ (getEventTarget(e));
 
-      if (!target || this.isExcluded(target)) return;
+      if (!target || this.privacy.isExcluded(target)) return;
 
       const tagName = target.tagName;
 
+      const blocked = this.privacy.getBlockedElement(target);
+      if (blocked) {
+        if (tagName === 'SELECT' || tagName === 'INPUT') {
+          this.recordBlockedInput(blocked, tagName, 'change');
+        }
+        return;
+      }
+
       if (tagName === 'SELECT') {
         const select = /** @type {HTMLSelectElement} */ (target);
+        const isMasked = this.privacy.isInputMasked(select);
+        const selectedText = select.options[select.selectedIndex]?.text || '';
         this.onEvent({
           type: EventType.INPUT,
           timestamp: Date.now(),
           data: {
-            selector: getSelector(target),
+            ...describeTarget(target, this.getNodeId),
             tagName: 'SELECT',
             selectedIndex: select.selectedIndex,
-            value: select.value,
-            selectedText: select.options[select.selectedIndex]?.text || ''
+            value: isMasked ? this.privacy.maskValue(select.value) : select.value,
+            selectedText: isMasked ? this.privacy.maskValue(selectedText) : selectedText,
+            masked: isMasked
           }
         });
       } else if (tagName === 'INPUT') {
@@ -166,11 +200,11 @@ export class InputRecorder {
             type: EventType.INPUT,
             timestamp: Date.now(),
             data: {
-              selector: getSelector(target),
+              ...describeTarget(target, this.getNodeId),
               tagName: 'INPUT',
               inputType: inputType,
               checked: input.checked,
-              value: input.value,
+              value: this.privacy.getInputValue(input, input.value),
               name: input.name
             }
           });
@@ -180,17 +214,23 @@ export class InputRecorder {
 
     // Focus/blur handlers
     this.handlers.focus = (e) => {
-      const target = /** @type {Element} */ (e.target);
-      if (!target || this.isExcluded(target)) return;
+      const target = getEventTarget(e);
+      if (!target || this.privacy.isExcluded(target)) return;
 
       const tagName = target.tagName;
       if (tagName !== 'INPUT' && tagName !== 'TEXTAREA' && tagName !== 'SELECT') return;
 
+      const blocked = this.privacy.getBlockedElement(target);
+      if (blocked) {
+        this.recordBlockedInput(blocked, tagName, 'focus');
+        return;
+      }
+
       this.onEvent({
         type: EventType.INPUT,
         timestamp: Date.now(),
         data: {
-          selector: getSelector(target),
+          ...describeTarget(target, this.getNodeId),
           tagName: tagName,
           action: 'focus'
         }
@@ -198,17 +238,23 @@ export class InputRecorder {
     };
 
     this.handlers.blur = (e) => {
-      const target = /** @type {Element} */ (e.target);
-      if (!target || this.isExcluded(target)) return;
+      const target = getEventTarget(e);
+      if (!target || this.privacy.isExcluded(target)) return;
 
       const tagName = target.tagName;
       if (tagName !== 'INPUT' && tagName !== 'TEXTAREA' && tagName !== 'SELECT') return;
 
+      const blocked = this.privacy.getBlockedElement(target);
+      if (blocked) {
+        this.recordBlockedInput(blocked, tagName, 'blur');
+        return;
+      }
+
       this.onEvent({
         type: EventType.INPUT,
         timestamp: Date.now(),
         data: {
-          selector: getSelector(target),
+          ...describeTarget(target, this.getNodeId),
           tagName: tagName,
           action: 'blur'
         }
@@ -216,10 +262,8 @@ export class InputRecorder {
     };
 
     // Add event listeners
-    document.addEventListener('input', this.handlers.input, { capture: true });
-    document.addEventListener('change', this.handlers.change, { capture: true });
-    document.addEventListener('focus', this.handlers.focus, { capture: true });
-    document.addEventListener('blur', this.handlers.blur, { capture: true });
+    this.documents.forEach(doc => this.attachDocument(doc));
+    this.shadowRoots.forEach(root => this.attachShadowRoot(root));
   }
 
   /**
@@ -229,10 +273,8 @@ export class InputRecorder {
     if (!this.isRecording) return;
     this.isRecording = false;
 
-    document.removeEventListener('input', this.handlers.input, { capture: true });
-    document.removeEventListener('change', this.handlers.change, { capture: true });
-    document.removeEventListener('focus', this.handlers.focus, { capture: true });
-    document.removeEventListener('blur', this.handlers.blur, { capture: true });
+    this.documents.forEach(doc => this.detachDocument(doc));
+    this.shadowRoots.forEach(root => this.detachShadowRoot(root));
 
     this.handlers = {};
   }
@@ -3,8 +3,59 @@
  * @module InteractionRecorder
  */
 
-import { EventType } from '../../shared/constants.js';
-import { getSelector } from './DOMRecorder.js';
+import { EventType, PointerAction, TouchAction } from '../../shared/constants.js';
+import { PrivacyEngine } from '../PrivacyEngine.js';
+import { describeTarget, getEventTarget, getFrameOffset } from './DOMRecorder.js';
+
+// A touch held this long without moving is recorded as a long-press
+const LONG_PRESS_DELAY = 500; // ms
+const LONG_PRESS_TOLERANCE = 10; // px
+
+const POINTER_ACTIONS = {
+  pointerdown: PointerAction.DOWN,
+  pointermove: PointerAction.MOVE,
+  pointerup: PointerAction.UP,
+  pointercancel: PointerAction.CANCEL
+};
+
+// Events that show the page responded to a click, wherever it happened. DOM changes
+// only count inside the clicked element, since animations and timers change the page anyway
+const RESPONSE_EVENTS = new Set([
+  EventType.PAGE_TRANSITION,
+  EventType.NETWORK_REQUEST,
+  EventType.INPUT
+]);
+
+// Changes to a clicked element that show it responded
+const CLICK_RESPONSE_OPTIONS = {
+  childList: true,
+  attributes: true,
+  characterData: true,
+  subtree: true
+};
+
+// Elements that are expected to react to a click; text fields only take focus
+const CLICKABLE_SELECTOR = [
+  'a[href]:not([download]):not([target="_blank"])',
+  'button',
+  'input[type="button"]',
+  'input[type="submit"]',
+  'input[type="reset"]',
+  'input[type="image"]',
+  'summary',
+  '[role="button"]',
+  '[role="link"]',
+  '[role="tab"]',
+  '[role="menuitem"]',
+  '[onclick]'
+].join(', ');
+
+const TOUCH_ACTIONS = {
+  touchstart: TouchAction.START,
+  touchmove: TouchAction.MOVE,
+  touchend: TouchAction.END,
+  touchcancel: TouchAction.CANCEL
+};
 
 /**
  * Creates a throttled version of a function
@@ -46,36 +97,362 @@ export class InteractionRecorder {
    * @param {Function} options.onEvent - Callback for recorded events
    * @param {number} options.mouseThrottle - Mouse move throttle in ms
    * @param {number} options.scrollThrottle - Scroll throttle in ms
-   * @param {string} options.excludeAttribute - Attribute to mark excluded elements
+   * @param {PrivacyEngine} options.privacy - Exclusion and masking rules shared with the other recorders
+   * @param {string} options.excludeAttribute - Attribute to mark excluded elements, without a privacy engine
+   * @param {Function} options.getNodeId - Node ID lookup shared with DOMRecorder
+   * @param {number} options.rageClickCount - Clicks that make a rage click (0 disables)
+   * @param {number} options.rageClickRadius - Max distance in px between the clicks
+   * @param {number} options.rageClickWindow - Max ms between the first and last click
+   * @param {number} options.deadClickTimeout - Ms to wait for a response to a click (0 disables)
    */
   constructor(options = {}) {
     this.onEvent = options.onEvent || (() => {});
     this.mouseThrottle = options.mouseThrottle || 50;
     this.scrollThrottle = options.scrollThrottle || 100;
-    this.excludeAttribute = options.excludeAttribute || 'data-ym-disable';
+    this.privacy = options.privacy || new PrivacyEngine({ excludeAttribute: options.excludeAttribute });
+    this.getNodeId = options.getNodeId || null;
+    this.rageClickCount = options.rageClickCount ?? 3;
+    this.rageClickRadius = options.rageClickRadius ?? 30;
+    this.rageClickWindow = options.rageClickWindow ?? 1000;
+    this.deadClickTimeout = options.deadClickTimeout ?? 1000;
 
     this.handlers = {};
+    this.documents = new Set([document]);
+    this.shadowRoots = new Set();
+    this.elementScrollHandlers = new WeakMap();
+    this.pointerMoveHandlers = new Map();
+    this.longPress = null;
+    this.recentClicks = [];
+    this.rageClickReported = false;
+    this.pendingClicks = new Map();
     this.isRecording = false;
   }
 
   /**
-   * Checks if an element should be excluded from recording
+   * Records interactions inside another document, such as a same-origin iframe
+   * @param {Document} doc
+   */
+  addDocument(doc) {
+    if (this.documents.has(doc)) return;
+
+    this.documents.add(doc);
+    if (this.isRecording) {
+      this.attachDocument(doc);
+    }
+  }
+
+  /**
+   * Records scrolling inside a shadow root. Scroll events are not composed, so
+   * document listeners never see the ones fired inside it
+   * @param {ShadowRoot} root
+   */
+  addShadowRoot(root) {
+    if (this.shadowRoots.has(root)) return;
+
+    this.shadowRoots.add(root);
+    if (this.isRecording) {
+      this.attachShadowRoot(root);
+    }
+  }
+
+  /**
+   * Adds the listeners for events that stay inside a shadow root
+   * @param {ShadowRoot} root
+   */
+  attachShadowRoot(root) {
+    root.addEventListener('scroll', this.handlers.elementScroll, { capture: true, passive: true });
+  }
+
+  /**
+   * Removes shadow root listeners
+   * @param {ShadowRoot} root
+   */
+  detachShadowRoot(root) {
+    root.removeEventListener('scroll', this.handlers.elementScroll, { capture: true });
+  }
+
+  /**
+   * Adds document-level listeners
+   * @param {Document} doc
+   */
+  attachDocument(doc) {
+    doc.addEventListener('mousemove', this.handlers.mouseMove, { passive: true });
+    doc.addEventListener('click', this.handlers.mouseClick, { capture: true });
+    doc.addEventListener('scroll', this.handlers.elementScroll, { capture: true, passive: true });
+
+    for (const type of Object.keys(POINTER_ACTIONS)) {
+      doc.addEventListener(type, this.handlers.pointer, { capture: true, passive: true });
+    }
+    for (const type of Object.keys(TOUCH_ACTIONS)) {
+      doc.addEventListener(type, this.handlers.touch, { capture: true, passive: true });
+    }
+  }
+
+  /**
+   * Removes document-level listeners
+   * @param {Document} doc
+   */
+  detachDocument(doc) {
+    doc.removeEventListener('mousemove', this.handlers.mouseMove);
+    doc.removeEventListener('click', this.handlers.mouseClick, { capture: true });
+    doc.removeEventListener('scroll', this.handlers.elementScroll, { capture: true });
+
+    for (const type of Object.keys(POINTER_ACTIONS)) {
+      doc.removeEventListener(type, this.handlers.pointer, { capture: true });
+    }
+    for (const type of Object.keys(TOUCH_ACTIONS)) {
+      doc.removeEventListener(type, this.handlers.touch, { capture: true });
+    }
+  }
+
+  /**
+   * Describes the target of an interaction. Targets inside a blocked element are
+   * described as the blocked element, the only part of it the replay has
    * @param {Element} element
-   * @returns {boolean}
+   * @returns {object}
    */
-  isExcluded(element) {
-    if (!element || element.nodeType !== Node.ELEMENT_NODE) {
-      return false;
+  describe(element) {
+    const blocked = this.privacy.getBlockedElement(element);
+    if (blocked) {
+      return { ...describeTarget(blocked, this.getNodeId), blocked: true };
     }
+    return describeTarget(element, this.getNodeId);
+  }
+
+  /**
+   * Records the scroll position of a scroll container
+   * @param {Element} element
+   */
+  recordElementScroll(element) {
+    if (!this.isRecording || !element.isConnected || this.privacy.isExcluded(element) ||
+        this.privacy.isBlocked(element)) return;
+
+    this.onEvent({
+      type: EventType.SCROLL,
+      timestamp: Date.now(),
+      data: {
+        ...describeTarget(element, this.getNodeId),
+        scrollTop: element.scrollTop,
+        scrollLeft: element.scrollLeft
+      }
+    });
+  }
+
+  /**
+   * Records a pointer event
+   * @param {PointerEvent} e
+   * @param {Element|null} [blocked] - Blocked element the pointer is in, recorded as the target
+   */
+  recordPointer(e, blocked = null) {
+    const offset = getFrameOffset(e.view?.document || document);
+
+    this.onEvent({
+      type: EventType.POINTER,
+      timestamp: Date.now(),
+      data: {
+        action: POINTER_ACTIONS[e.type],
+        pointerId: e.pointerId,
+        pointerType: e.pointerType,
+        isPrimary: e.isPrimary,
+        x: e.clientX + offset.x,
+        y: e.clientY + offset.y,
+        button: e.button,
+        pressure: e.pressure,
+        ...(blocked && this.describe(blocked))
+      }
+    });
+  }
+
+  /**
+   * Records a touch event with the position of every finger on the screen
+   * @param {TouchEvent} e
+   * @param {number} action - TouchAction
+   * @param {Element|null} [blocked] - Blocked element touched, recorded as the target
+   */
+  recordTouch(e, action, blocked = null) {
+    const offset = getFrameOffset(e.view?.document || document);
+    const toPoint = touch => ({
+      id: touch.identifier,
+      x: touch.clientX + offset.x,
+      y: touch.clientY + offset.y
+    });
 
-    let current = element;
-    while (current && current.nodeType === Node.ELEMENT_NODE) {
-      if (current.hasAttribute(this.excludeAttribute)) {
-        return true;
+    this.onEvent({
+      type: EventType.TOUCH,
+      timestamp: Date.now(),
+      data: {
+        action,
+        touches: Array.from(e.touches, toPoint),
+        changedTouches: Array.from(e.changedTouches, toPoint),
+        ...(blocked && this.describe(blocked))
       }
-      current = current.parentElement;
+    });
+  }
+
+  /**
+   * Starts or cancels long-press detection for a touch event
+   * @param {TouchEvent} e
+   */
+  trackLongPress(e) {
+    const touch = e.touches[0];
+
+    if (e.type === 'touchstart' && e.touches.length === 1) {
+      this.cancelLongPress();
+
+      const offset = getFrameOffset(e.view?.document || document);
+      const start = { x: touch.clientX, y: touch.clientY };
+      const target = getEventTarget(e);
+
+      this.longPress = {
+        start,
+        timeoutId: setTimeout(() => {
+          this.longPress = null;
+          this.onEvent({
+            type: EventType.TOUCH,
+            timestamp: Date.now(),
+            data: {
+              action: TouchAction.LONG_PRESS,
+              x: start.x + offset.x,
+              y: start.y + offset.y,
+              ...this.describe(target)
+            }
+          });
+        }, LONG_PRESS_DELAY)
+      };
+      return;
+    }
+
+    // Moving the finger, lifting it or adding a second one is not a long-press
+    const moved = touch && this.longPress &&
+      Math.hypot(touch.clientX - this.longPress.start.x, touch.clientY - this.longPress.start.y) >
+        LONG_PRESS_TOLERANCE;
+    if (e.type !== 'touchmove' || moved || e.touches.length !== 1) {
+      this.cancelLongPress();
+    }
+  }
+
+  /**
+   * Cancels a pending long-press
+   */
+  cancelLongPress() {
+    if (this.longPress) {
+      clearTimeout(this.longPress.timeoutId);
+      this.longPress = null;
+    }
+  }
+
+  /**
+   * Emits a rage click when enough clicks land close together in a short time
+   * @param {Element} target
+   * @param {number} x - Click position in the top-level viewport
+   * @param {number} y
+   */
+  trackRageClick(target, x, y) {
+    if (!this.rageClickCount) return;
+
+    const now = Date.now();
+
+    // Only clicks within the window and radius of this one count
+    this.recentClicks = this.recentClicks.filter(click =>
+      now - click.timestamp <= this.rageClickWindow &&
+      Math.hypot(x - click.x, y - click.y) <= this.rageClickRadius
+    );
+
+    // A click elsewhere or after a pause starts a new burst
+    if (this.recentClicks.length === 0) {
+      this.rageClickReported = false;
+    }
+
+    this.recentClicks.push({ x, y, timestamp: now });
+
+    // Each burst is reported once
+    if (this.recentClicks.length < this.rageClickCount || this.rageClickReported) return;
+    this.rageClickReported = true;
+
+    this.onEvent({
+      type: EventType.RAGE_CLICK,
+      timestamp: now,
+      data: {
+        x,
+        y,
+        count: this.recentClicks.length,
+        duration: now - this.recentClicks[0].timestamp,
+        ...this.describe(target)
+      }
+    });
+  }
+
+  /**
+   * Waits for the page to respond to a click, and emits a dead click if it does not
+   * @param {Element} target
+   * @param {number} x - Click position in the top-level viewport
+   * @param {number} y
+   */
+  trackDeadClick(target, x, y) {
+    if (!this.deadClickTimeout) return;
+
+    const clickable = target.closest?.(CLICKABLE_SELECTOR) ||
+      (target.ownerDocument?.defaultView?.getComputedStyle(target).cursor === 'pointer' ? target : null);
+    // Repeated clicks on an element that has not responded yet are one dead click
+    if (!clickable || this.pendingClicks.has(clickable)) return;
+
+    const timestamp = Date.now();
+    const observer = new MutationObserver(() => this.cancelDeadClick(clickable));
+    observer.observe(clickable, CLICK_RESPONSE_OPTIONS);
+
+    this.pendingClicks.set(clickable, {
+      observer,
+      timeoutId: setTimeout(() => {
+        this.cancelDeadClick(clickable);
+
+        // Elements removed since, such as the close button of a dialog, did respond
+        if (!clickable.isConnected) return;
+
+        this.onEvent({
+          type: EventType.DEAD_CLICK,
+          timestamp: Date.now(),
+          data: {
+            x,
+            y,
+            clickTimestamp: timestamp,
+            timeout: this.deadClickTimeout,
+            ...this.describe(clickable)
+          }
+        });
+      }, this.deadClickTimeout)
+    });
+  }
+
+  /**
+   * Cancels dead click detection for a clicked element
+   * @param {Element} clickable
+   */
+  cancelDeadClick(clickable) {
+    const pending = this.pendingClicks.get(clickable);
+    if (!pending) return;
+
+    clearTimeout(pending.timeoutId);
+    pending.observer.disconnect();
+    this.pendingClicks.delete(clickable);
+  }
+
+  /**
+   * Cancels dead click detection for pending clicks
+   */
+  cancelDeadClicks() {
+    for (const clickable of [...this.pendingClicks.keys()]) {
+      this.cancelDeadClick(clickable);
+    }
+  }
+
+  /**
+   * Checks events from the other recorders for a response to pending clicks
+   * @param {object} event - Any recorded event
+   */
+  recordActivity(event) {
+    if (this.pendingClicks.size > 0 && RESPONSE_EVENTS.has(event.type)) {
+      this.cancelDeadClicks();
     }
-    return false;
   }
 
   /**
@@ -85,14 +462,16 @@ export class InteractionRecorder {
     if (this.isRecording) return;
     this.isRecording = true;
 
-    // Mouse move handler (throttled)
+    // Mouse move handler (throttled); frame coordinates are mapped to the top viewport
     this.handlers.mouseMove = throttle((e) => {
+      const offset = getFrameOffset(e.view?.document || document);
+
       this.onEvent({
         type: EventType.MOUSE_MOVE,
         timestamp: Date.now(),
         data: {
-          x: e.clientX,
-          y: e.clientY,
+          x: e.clientX + offset.x,
+          y: e.clientY + offset.y,
           pageX: e.pageX,
           pageY: e.pageY
         }
@@ -101,24 +480,32 @@ export class InteractionRecorder {
 
     // Mouse click handler
     this.handlers.mouseClick = (e) => {
-      const target = /** @type {Element} */ (e.target);
+      const target = getEventTarget(e);
 
-      if (this.isExcluded(target)) return;
+      if (this.privacy.isExcluded(target)) return;
+
+      const offset = getFrameOffset(target.ownerDocument || document);
+      const x = e.clientX + offset.x;
+      const y = e.clientY + offset.y;
+      const blocked = this.privacy.getBlockedElement(target);
 
       this.onEvent({
         type: EventType.MOUSE_CLICK,
         timestamp: Date.now(),
         data: {
-          x: e.clientX,
-          y: e.clientY,
+          x,
+          y,
           pageX: e.pageX,
           pageY: e.pageY,
           button: e.button,
-          selector: getSelector(target),
-          tagName: target.tagName,
-          textContent: target.textContent?.slice(0, 50) || ''
+          ...this.describe(target),
+          tagName: (blocked || target).tagName,
+          textContent: blocked ? '' : this.privacy.getText(target, target.textContent?.slice(0, 50)) || ''
         }
       });
+
+      this.trackRageClick(target, x, y);
+      this.trackDeadClick(target, x, y);
     };
 
     // Scroll handler (throttled)
@@ -135,6 +522,92 @@ export class InteractionRecorder {
       });
     }, this.scrollThrottle);
 
+    // Scroll events do not bubble, so containers are caught in the capture phase
+    this.handlers.elementScroll = (e) => {
+      // The top-level viewport is covered by the window scroll handler
+      if (e.target === document) return;
+
+      const element = e.target.nodeType === Node.DOCUMENT_NODE
+        ? e.target.scrollingElement
+        : e.target;
+      if (!element) return;
+
+      // Each container is throttled on its own
+      let handler = this.elementScrollHandlers.get(element);
+      if (!handler) {
+        handler = throttle(() => this.recordElementScroll(element), this.scrollThrottle);
+        this.elementScrollHandlers.set(element, handler);
+      }
+      handler();
+    };
+
+    // Pointer handler; moves are throttled per pointer so fingers do not drop each other
+    this.handlers.pointer = (e) => {
+      const target = getEventTarget(e);
+      if (this.privacy.isExcluded(target)) return;
+
+      const blocked = this.privacy.getBlockedElement(target);
+
+      if (e.type !== 'pointermove') {
+        if (e.type !== 'pointerdown') {
+          this.pointerMoveHandlers.delete(e.pointerId);
+        }
+        this.recordPointer(e, blocked);
+        return;
+      }
+
+      // Mouse movement is already recorded as MOUSE_MOVE. Movement inside a blocked
+      // element could trace what was drawn or typed there, such as a signature
+      if (e.pointerType === 'mouse' || blocked) return;
+
+      let handler = this.pointerMoveHandlers.get(e.pointerId);
+      if (!handler) {
+        handler = throttle(event => this.recordPointer(event), this.mouseThrottle);
+        this.pointerMoveHandlers.set(e.pointerId, handler);
+      }
+      handler(e);
+    };
+
+    // Touch handler; touchmove is throttled like mouse movement
+    this.handlers.touchMove = throttle((e) => {
+      this.recordTouch(e, TouchAction.MOVE);
+    }, this.mouseThrottle);
+
+    this.handlers.touch = (e) => {
+      const target = getEventTarget(e);
+      if (this.privacy.isExcluded(target)) return;
+
+      const blocked = this.privacy.getBlockedElement(target);
+
+      this.trackLongPress(e);
+
+      if (e.type !== 'touchmove') {
+        this.recordTouch(e, TOUCH_ACTIONS[e.type], blocked);
+      } else if (!blocked) {
+        // Like pointer movement, finger movement inside a blocked element is not recorded
+        this.handlers.touchMove(e);
+      }
+    };
+
+    // Visual viewport handler (throttled); covers pinch-zoom and panning while zoomed
+    this.handlers.visualViewport = throttle(() => {
+      const viewport = window.visualViewport;
+
+      this.onEvent({
+        type: EventType.VISUAL_VIEWPORT,
+        timestamp: Date.now(),
+        data: {
+          scale: viewport.scale,
+          width: viewport.width,
+          height: viewport.height,
+          offsetLeft: viewport.offsetLeft,
+          offsetTop: viewport.offsetTop,
+          pageLeft: viewport.pageLeft,
+          pageTop: viewport.pageTop
+        }
+      });
+    }, this.scrollThrottle);
+
     // Resize handler (throttled)
     this.handlers.resize = throttle(() => {
       this.onEvent({
@@ -149,10 +622,15 @@ export class InteractionRecorder {
     }, 200);
 
     // Add event listeners
-    document.addEventListener('mousemove', this.handlers.mouseMove, { passive: true });
-    document.addEventListener('click', this.handlers.mouseClick, { capture: true });
+    this.documents.forEach(doc => this.attachDocument(doc));
+    this.shadowRoots.forEach(root => this.attachShadowRoot(root));
     window.addEventListener('scroll', this.handlers.scroll, { passive: true });
     window.addEventListener('resize', this.handlers.resize, { passive: true });
+
+    if (window.visualViewport) {
+      window.visualViewport.addEventListener('resize', this.handlers.visualViewport);
+      window.visualViewport.addEventListener('scroll', this.handlers.visualViewport);
+    }
   }
 
   /**
@@ -162,12 +640,23 @@ export class InteractionRecorder {
     if (!this.isRecording) return;
     this.isRecording = false;
 
-    document.removeEventListener('mousemove', this.handlers.mouseMove);
-    document.removeEventListener('click', this.handlers.mouseClick, { capture: true });
+    this.documents.forEach(doc => this.detachDocument(doc));
+    this.shadowRoots.forEach(root => this.detachShadowRoot(root));
     window.removeEventListener('scroll', this.handlers.scroll);
     window.removeEventListener('resize', this.handlers.resize);
 
+    if (window.visualViewport) {
+      window.visualViewport.removeEventListener('resize', this.handlers.visualViewport);
+      window.visualViewport.removeEventListener('scroll', this.handlers.visualViewport);
+    }
+
+    this.cancelLongPress();
+    this.cancelDeadClicks();
+    this.recentClicks = [];
+    this.rageClickReported = false;
     this.handlers = {};
+    this.elementScrollHandlers = new WeakMap();
+    this.pointerMoveHandlers.clear();
   }
 }
 
@@ -4,6 +4,77 @@
  */
 
 import { EventType } from '../../shared/constants.js';
+import { PrivacyEngine } from '../PrivacyEngine.js';
+
+// Layout shifts are grouped into windows of at most 5s with gaps under 1s
+const CLS_WINDOW_GAP = 1000;
+const CLS_WINDOW_MAX = 5000;
+
+// Interactions faster than this never decide INP
+const INP_DURATION_THRESHOLD = 40;
+
+const MAX_RESOURCE_ENTRIES = 500;
+const SLOWEST_RESOURCES = 5;
+
+/**
+ * Creates the metric state of one route: the initial page or an SPA transition
+ * @param {number} navigationId
+ * @param {string} url
+ * @returns {object}
+ */
+function createRouteState(navigationId, url) {
+  return {
+    navigationId,
+    url,
+    cls: 0,
+    clsWindow: { value: 0, start: 0, last: 0 },
+    interactions: new Map(),
+    resources: [],
+    // Last values reported, so hiding the page again only reports what changed
+    reported: { cls: null, inp: null, resources: 0 },
+    finalized: false
+  };
+}
+
+/**
+ * Gets INP from the longest duration of each interaction: the worst one,
+ * ignoring one outlier per 50 interactions
+ * @param {Map<number, number>} interactions
+ * @returns {number|null}
+ */
+function getINP(interactions) {
+  if (interactions.size === 0) return null;
+
+  const durations = [...interactions.values()].sort((a, b) => b - a);
+  return durations[Math.min(durations.length - 1, Math.floor(durations.length / 50))];
+}
+
+/**
+ * Summarizes resource timing entries by initiator type
+ * @param {object[]} entries
+ * @returns {object}
+ */
+function summarizeResources(entries) {
+  const byType = {};
+  let transferSize = 0;
+
+  for (const entry of entries) {
+    const type = byType[entry.initiatorType] ??= { count: 0, transferSize: 0, duration: 0 };
+    type.count++;
+    type.transferSize += entry.transferSize;
+    type.duration += entry.duration;
+    transferSize += entry.transferSize;
+  }
+
+  return {
+    count: entries.length,
+    transferSize,
+    byType,
+    slowest: [...entries]
+      .sort((a, b) => b.duration - a.duration)
+      .slice(0, SLOWEST_RESOURCES)
+  };
+}
 
 /**
  * NavigationRecorder class - Records navigation events
@@ -13,13 +84,25 @@ export class NavigationRecorder {
    * @param {object} options
    * @param {Function} options.onEvent - Callback for recorded events
    * @param {RegExp[]} options.excludePages - URL patterns to exclude
+   * @param {PrivacyEngine} options.privacy - Masking rules shared with the other recorders
+   * @param {boolean} options.performanceMetrics - Record Web Vitals, long tasks and resource timing
    */
   constructor(options = {}) {
     this.onEvent = options.onEvent || (() => {});
     this.excludePages = options.excludePages || [];
+    this.privacy = options.privacy || new PrivacyEngine();
+    this.performanceMetrics = options.performanceMetrics !== false;
     this.currentUrl = '';
     this.handlers = {};
     this.isRecording = false;
+
+    // Performance state; navigationId 0 is the initial page load
+    this.navigationId = 0;
+    this.route = createRouteState(0, '');
+    this.initialRoute = this.route;
+    this.observers = [];
+    this.lcp = null;
+    this.lcpReported = false;
   }
 
   /**
@@ -36,6 +119,7 @@ export class NavigationRecorder {
    */
   recordPageLoad() {
     this.currentUrl = window.location.href;
+    this.initialRoute.url = this.currentUrl;
 
     if (this.isExcludedPage(this.currentUrl)) return;
 
@@ -44,11 +128,25 @@ export class NavigationRecorder {
       timestamp: Date.now(),
       data: {
         url: this.currentUrl,
-        title: document.title,
+        title: this.privacy.getTitle(),
         referrer: document.referrer,
         timing: this.getNavigationTiming()
       }
     });
+
+    const navigation = this.getNavigationEntry();
+    if (this.performanceMetrics && navigation) {
+      this.recordMetric('TTFB', Math.max(0, navigation.responseStart - (navigation.activationStart || 0)));
+    }
+  }
+
+  /**
+   * Gets the Navigation Timing Level 2 entry of the page load
+   * @returns {PerformanceNavigationTiming|null}
+   */
+  getNavigationEntry() {
+    if (!window.performance?.getEntriesByType) return null;
+    return performance.getEntriesByType('navigation')[0] || null;
   }
 
   /**
@@ -56,16 +154,210 @@ export class NavigationRecorder {
    * @returns {object|null}
    */
   getNavigationTiming() {
+    const navigation = this.getNavigationEntry();
+
+    // Navigation entries are relative to navigation start already
+    if (navigation) {
+      return {
+        ttfb: Math.round(navigation.responseStart),
+        domContentLoaded: Math.round(navigation.domContentLoadedEventEnd),
+        loadComplete: Math.round(navigation.loadEventEnd),
+        firstPaint: this.getFirstPaint()
+      };
+    }
+
+    // Fallback for browsers without Navigation Timing Level 2
     if (!window.performance?.timing) return null;
 
     const timing = performance.timing;
     return {
+      ttfb: timing.responseStart - timing.navigationStart,
       domContentLoaded: timing.domContentLoadedEventEnd - timing.navigationStart,
       loadComplete: timing.loadEventEnd - timing.navigationStart,
       firstPaint: this.getFirstPaint()
     };
   }
 
+  /**
+   * Records a performance metric for a route
+   * @param {string} name - LCP, CLS, INP, FCP or TTFB
+   * @param {number} value - ms, or a unitless score for CLS
+   * @param {object} [route] - Route the metric belongs to
+   */
+  recordMetric(name, value, route = this.route) {
+    this.onEvent({
+      type: EventType.PERFORMANCE_METRIC,
+      timestamp: Date.now(),
+      data: {
+        name,
+        value: name === 'CLS' ? Math.round(value * 10000) / 10000 : Math.round(value),
+        navigationId: route.navigationId,
+        url: route.url
+      }
+    });
+  }
+
+  /**
+   * Observes a performance entry type, ignoring types the browser does not support
+   * @param {string} type
+   * @param {Function} callback - Called with the new entries
+   * @param {object} [options] - Extra PerformanceObserver options
+   */
+  observe(type, callback, options = {}) {
+    if (typeof PerformanceObserver === 'undefined' ||
+        !PerformanceObserver.supportedEntryTypes?.includes(type)) return;
+
+    try {
+      const observer = new PerformanceObserver(list => callback(list.getEntries()));
+      observer.observe({ type, buffered: true, ...options });
+      this.observers.push(observer);
+    } catch (error) {
+      // Observer options the browser rejects leave the metric unrecorded
+    }
+  }
+
+  /**
+   * Starts the PerformanceObservers behind Web Vitals, long tasks and resource timing
+   */
+  observePerformance() {
+    this.observe('paint', (entries) => {
+      const fcp = entries.find(entry => entry.name === 'first-contentful-paint');
+      if (fcp) {
+        this.recordMetric('FCP', fcp.startTime, this.initialRoute);
+      }
+    });
+
+    // LCP keeps changing until the user first interacts
+    this.observe('largest-contentful-paint', (entries) => {
+      this.lcp = entries[entries.length - 1].startTime;
+    });
+
+    this.observe('layout-shift', (entries) => {
+      for (const entry of entries) {
+        if (!entry.hadRecentInput) {
+          this.addLayoutShift(entry);
+        }
+      }
+    });
+
+    const recordInteraction = (entries) => {
+      for (const entry of entries) {
+        if (!entry.interactionId) continue;
+
+        const interactions = this.route.interactions;
+        const duration = interactions.get(entry.interactionId) || 0;
+        interactions.set(entry.interactionId, Math.max(duration, entry.duration));
+      }
+    };
+    this.observe('event', recordInteraction, { durationThreshold: INP_DURATION_THRESHOLD });
+    this.observe('first-input', recordInteraction);
+
+    this.observe('longtask', (entries) => {
+      for (const entry of entries) {
+        this.onEvent({
+          type: EventType.LONG_TASK,
+          timestamp: Date.now(),
+          data: {
+            startTime: Math.round(entry.startTime),
+            duration: Math.round(entry.duration),
+            name: entry.name,
+            container: entry.attribution?.[0]?.containerType || null,
+            navigationId: this.route.navigationId,
+            url: this.route.url
+          }
+        });
+      }
+    });
+
+    this.observe('resource', (entries) => {
+      const resources = this.route.resources;
+      for (const entry of entries) {
+        if (resources.length >= MAX_RESOURCE_ENTRIES) break;
+        resources.push({
+          name: entry.name,
+          initiatorType: entry.initiatorType,
+          duration: Math.round(entry.duration),
+          transferSize: entry.transferSize || 0
+        });
+      }
+    });
+
+    // The first input ends LCP
+    this.handlers.firstInput = () => this.reportLCP();
+    window.addEventListener('pointerdown', this.handlers.firstInput, { capture: true, once: true });
+    window.addEventListener('keydown', this.handlers.firstInput, { capture: true, once: true });
+  }
+
+  /**
+   * Adds a layout shift to the route's CLS; CLS is the largest session window
+   * @param {PerformanceEntry} entry
+   */
+  addLayoutShift(entry) {
+    const route = this.route;
+    const clsWindow = route.clsWindow;
+
+    if (clsWindow.value > 0 &&
+        entry.startTime - clsWindow.last < CLS_WINDOW_GAP &&
+        entry.startTime - clsWindow.start < CLS_WINDOW_MAX) {
+      clsWindow.value += entry.value;
+    } else {
+      clsWindow.value = entry.value;
+      clsWindow.start = entry.startTime;
+    }
+    clsWindow.last = entry.startTime;
+
+    route.cls = Math.max(route.cls, clsWindow.value);
+  }
+
+  /**
+   * Records the final LCP of the initial page load
+   */
+  reportLCP() {
+    if (this.lcpReported || this.lcp === null) return;
+    this.lcpReported = true;
+
+    this.recordMetric('LCP', this.lcp, this.initialRoute);
+  }
+
+  /**
+   * Records the metrics of the current route when it is hidden or left. A hidden
+   * page may be shown again, so CLS and INP keep growing until the route is left;
+   * each report supersedes the previous one for the same route
+   * @param {boolean} [final] - The route is left and reports nothing more
+   */
+  reportRoute(final = false) {
+    const route = this.route;
+    if (!this.performanceMetrics || route.finalized) return;
+    route.finalized = final;
+
+    this.reportLCP();
+
+    const { reported } = route;
+    if (route.cls !== reported.cls) {
+      reported.cls = route.cls;
+      this.recordMetric('CLS', route.cls, route);
+    }
+
+    const inp = getINP(route.interactions);
+    if (inp !== null && inp !== reported.inp) {
+      reported.inp = inp;
+      this.recordMetric('INP', inp, route);
+    }
+
+    if (route.resources.length > reported.resources) {
+      reported.resources = route.resources.length;
+      this.onEvent({
+        type: EventType.RESOURCE_TIMING,
+        timestamp: Date.now(),
+        data: {
+          navigationId: route.navigationId,
+          url: route.url,
+          ...summarizeResources(route.resources)
+        }
+      });
+    }
+  }
+
   /**
    * Gets first paint timing
    * @returns {number|null}
@@ -109,27 +401,31 @@ export class NavigationRecorder {
       this.recordTransition('hashchange');
     };
 
-    // Beforeunload handler
-    this.handlers.beforeunload = () => {
+    // Pagehide handler; unlike beforeunload it also fires on mobile and when entering the back/forward cache
+    this.handlers.pagehide = (e) => {
+      this.reportRoute(true);
       this.onEvent({
         type: EventType.SESSION_END,
         timestamp: Date.now(),
         data: {
           url: window.location.href,
-          reason: 'beforeunload'
+          reason: 'pagehide',
+          persisted: e.persisted
         }
       });
     };
 
-    // Visibility change handler
+    // Visibility change handler; hiding may be the last chance to report metrics
     this.handlers.visibilitychange = () => {
       if (document.visibilityState === 'hidden') {
+        this.reportRoute();
         this.onEvent({
           type: EventType.PAGE_TRANSITION,
           timestamp: Date.now(),
           data: {
             action: 'hidden',
-            url: window.location.href
+            url: window.location.href,
+            navigationId: this.navigationId
           }
         });
       }
@@ -137,8 +433,12 @@ export class NavigationRecorder {
 
     window.addEventListener('popstate', this.handlers.popstate);
     window.addEventListener('hashchange', this.handlers.hashchange);
-    window.addEventListener('beforeunload', this.handlers.beforeunload);
+    window.addEventListener('pagehide', this.handlers.pagehide);
     document.addEventListener('visibilitychange', this.handlers.visibilitychange);
+
+    if (this.performanceMetrics) {
+      this.observePerformance();
+    }
   }
 
   /**
@@ -154,6 +454,11 @@ export class NavigationRecorder {
     const previousUrl = this.currentUrl;
     this.currentUrl = newUrl;
 
+    // Metrics of the route being left are reported before the transition
+    this.reportRoute(true);
+    this.navigationId++;
+    this.route = createRouteState(this.navigationId, newUrl);
+
     this.onEvent({
       type: EventType.PAGE_TRANSITION,
       timestamp: Date.now(),
@@ -161,7 +466,8 @@ export class NavigationRecorder {
         trigger: trigger,
         from: previousUrl,
         to: newUrl,
-        title: document.title
+        title: this.privacy.getTitle(),
+        navigationId: this.navigationId
       }
     });
   }
@@ -175,9 +481,17 @@ export class NavigationRecorder {
 
     window.removeEventListener('popstate', this.handlers.popstate);
     window.removeEventListener('hashchange', this.handlers.hashchange);
-    window.removeEventListener('beforeunload', this.handlers.beforeunload);
+    window.removeEventListener('pagehide', this.handlers.pagehide);
     document.removeEventListener('visibilitychange', this.handlers.visibilitychange);
 
+    this.reportRoute();
+    this.observers.forEach(observer => observer.disconnect());
+    this.observers = [];
+    if (this.handlers.firstInput) {
+      window.removeEventListener('pointerdown', this.handlers.firstInput, { capture: true });
+      window.removeEventListener('keydown', this.handlers.firstInput, { capture: true });
+    }
+
     // Restore original history methods
     if (this.originalPushState) {
       history.pushState = this.originalPushState;
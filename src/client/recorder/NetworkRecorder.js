@@ -0,0 +1,411 @@
+/**
+ * Network Recorder - Captures fetch and XMLHttpRequest calls
+ * @module NetworkRecorder
+ */
+
+import { EventType } from '../../shared/constants.js';
+
+// Response bodies are only read for content types that are text
+const TEXT_CONTENT_TYPE = /^(text\/|application\/(json|xml|javascript|x-www-form-urlencoded)|[^;]*\+(json|xml))/i;
+
+// Long-lived streams, whose bodies may never end
+const STREAMING_CONTENT_TYPE = /^(text\/event-stream|application\/(x-ndjson|stream\+json|json-seq)|multipart\/x-mixed-replace)/i;
+
+/**
+ * Gets the byte size of a request or response body, when it can be known without reading it
+ * @param {*} body
+ * @returns {number|null}
+ */
+function getBodySize(body) {
+  if (body === null || body === undefined) return 0;
+  if (typeof body === 'string') return new Blob([body]).size;
+  if (body instanceof Blob) return body.size;
+  if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) return body.byteLength;
+  if (body instanceof URLSearchParams) return new Blob([body.toString()]).size;
+  return null;
+}
+
+/**
+ * Gets a body as text for recording, or a placeholder for binary bodies
+ * @param {*} body
+ * @param {number} maxLength
+ * @returns {string|null}
+ */
+function getBodyText(body, maxLength) {
+  if (body === null || body === undefined) return null;
+
+  let text;
+  if (typeof body === 'string') {
+    text = body;
+  } else if (body instanceof URLSearchParams) {
+    text = body.toString();
+  } else {
+    return '[binary]';
+  }
+
+  return text.length > maxLength ? `${text.slice(0, maxLength)}…` : text;
+}
+
+/**
+ * Reads the start of a response body, stopping once it is longer than maxLength
+ * so large or endless bodies are never buffered whole
+ * @param {Response} response - A clone the page does not read
+ * @param {number} maxLength
+ * @returns {Promise<{text: string, size: number|null}>} size is null when the body was cut off
+ */
+async function readBodyText(response, maxLength) {
+  if (!response.body) return { text: '', size: 0 };
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let text = '';
+  let size = 0;
+
+  while (text.length <= maxLength) {
+    const { done, value } = await reader.read();
+    if (done) {
+      return { text: text + decoder.decode(), size };
+    }
+    size += value.byteLength;
+    text += decoder.decode(value, { stream: true });
+  }
+
+  reader.cancel().catch(() => {});
+  return { text, size: null };
+}
+
+/**
+ * NetworkRecorder class - Records network requests
+ */
+export class NetworkRecorder {
+  /**
+   * @param {object} options
+   * @param {Function} options.onEvent - Callback for recorded events
+   * @param {string[]} options.recordHeaders - Header names to record (case-insensitive)
+   * @param {boolean} options.recordBody - Record request and text response bodies
+   * @param {number} options.maxBodyLength - Characters kept of each recorded body
+   * @param {RegExp[]} options.denyUrls - URL patterns that are never recorded
+   */
+  constructor(options = {}) {
+    this.onEvent = options.onEvent || (() => {});
+    this.recordHeaders = (options.recordHeaders || []).map(name => name.toLowerCase());
+    this.recordBody = options.recordBody || false;
+    this.maxBodyLength = options.maxBodyLength || 10000;
+    this.denyUrls = options.denyUrls || [];
+
+    this.nextRequestId = 1;
+    this.xhrRequests = new WeakMap();
+    this.originalFetch = null;
+    this.originalXHR = null;
+    this.isRecording = false;
+  }
+
+  /**
+   * Resolves a request URL and checks it against the deny-list
+   * @param {string|URL} url
+   * @returns {string|null} Absolute URL, or null if the request is not recorded
+   */
+  resolveUrl(url) {
+    let absolute;
+    try {
+      absolute = new URL(String(url), window.location.href).href;
+    } catch (error) {
+      absolute = String(url);
+    }
+
+    return this.denyUrls.some(pattern => pattern.test(absolute)) ? null : absolute;
+  }
+
+  /**
+   * Picks the allow-listed headers
+   * @param {Headers} headers
+   * @returns {object|undefined}
+   */
+  pickHeaders(headers) {
+    if (this.recordHeaders.length === 0 || !headers) return undefined;
+
+    const picked = {};
+    for (const name of this.recordHeaders) {
+      const value = headers.get(name);
+      if (value !== null) {
+        picked[name] = value;
+      }
+    }
+    return picked;
+  }
+
+  /**
+   * Records the start of a request
+   * @param {object} request
+   * @returns {number} Request ID shared with the response event
+   */
+  recordRequest(request) {
+    const requestId = this.nextRequestId++;
+
+    const data = {
+      requestId,
+      initiator: request.initiator,
+      method: request.method.toUpperCase(),
+      url: request.url,
+      requestSize: getBodySize(request.body)
+    };
+
+    const headers = this.pickHeaders(request.headers);
+    if (headers) {
+      data.headers = headers;
+    }
+    if (this.recordBody) {
+      data.body = getBodyText(request.body, this.maxBodyLength);
+    }
+
+    this.onEvent({
+      type: EventType.NETWORK_REQUEST,
+      timestamp: Date.now(),
+      data
+    });
+
+    return requestId;
+  }
+
+  /**
+   * Records the end of a request
+   * @param {number} requestId
+   * @param {object} response
+   */
+  recordResponse(requestId, response) {
+    this.onEvent({
+      type: EventType.NETWORK_RESPONSE,
+      timestamp: Date.now(),
+      data: {
+        requestId,
+        ...response
+      }
+    });
+  }
+
+  /**
+   * Wraps window.fetch
+   */
+  patchFetch() {
+    if (typeof window.fetch !== 'function') return;
+
+    const recorder = this;
+    const original = window.fetch;
+    this.originalFetch = original;
+
+    window.fetch = function fetch(input, init) {
+      const isRequest = typeof Request !== 'undefined' && input instanceof Request;
+      const url = recorder.resolveUrl(isRequest ? input.url : input);
+
+      if (!url) {
+        return original.apply(this, arguments);
+      }
+
+      const start = performance.now();
+      let requestId;
+      try {
+        requestId = recorder.recordRequest({
+          initiator: 'fetch',
+          method: init?.method || (isRequest ? input.method : 'GET'),
+          url,
+          headers: new Headers(init?.headers || (isRequest ? input.headers : undefined)),
+          body: init?.body
+        });
+      } catch (error) {
+        // Recording must never break the page's own requests
+        return original.apply(this, arguments);
+      }
+
+      return original.apply(this, arguments).then(
+        (response) => {
+          // Reading the body is best effort and never fails the page's request
+          recorder.recordFetchResponse(requestId, response, start).catch(() => {});
+          return response;
+        },
+        (error) => {
+          recorder.recordResponse(requestId, {
+            status: 0,
+            ok: false,
+            duration: Math.round(performance.now() - start),
+            error: error?.message || String(error)
+          });
+          throw error;
+        }
+      );
+    };
+  }
+
+  /**
+   * Records a fetch response, reading a copy of its body when body capture is on
+   * @param {number} requestId
+   * @param {Response} response
+   * @param {number} start - performance.now() when the request started
+   */
+  async recordFetchResponse(requestId, response, start) {
+    const contentLength = response.headers.get('content-length');
+    const data = {
+      status: response.status,
+      statusText: response.statusText,
+      ok: response.ok,
+      duration: Math.round(performance.now() - start),
+      responseSize: contentLength !== null ? parseInt(contentLength, 10) : null
+    };
+
+    const headers = this.pickHeaders(response.headers);
+    if (headers) {
+      data.headers = headers;
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    if (this.recordBody && TEXT_CONTENT_TYPE.test(contentType) && !STREAMING_CONTENT_TYPE.test(contentType)) {
+      try {
+        const { text, size } = await readBodyText(response.clone(), this.maxBodyLength);
+        data.body = getBodyText(text, this.maxBodyLength);
+        data.responseSize ??= size;
+      } catch (error) {
+        // Bodies that cannot be read are left out
+      }
+    }
+
+    this.recordResponse(requestId, data);
+  }
+
+  /**
+   * Wraps XMLHttpRequest.prototype.open, setRequestHeader and send
+   */
+  patchXHR() {
+    if (typeof XMLHttpRequest === 'undefined') return;
+
+    const recorder = this;
+    const proto = XMLHttpRequest.prototype;
+    const original = {
+      open: proto.open,
+      setRequestHeader: proto.setRequestHeader,
+      send: proto.send
+    };
+    this.originalXHR = original;
+
+    proto.open = function open(method, url) {
+      const resolved = recorder.resolveUrl(url);
+      recorder.xhrRequests.set(this, resolved ? {
+        method,
+        url: resolved,
+        headers: new Headers()
+      } : null);
+      return original.open.apply(this, arguments);
+    };
+
+    proto.setRequestHeader = function setRequestHeader(name, value) {
+      try {
+        recorder.xhrRequests.get(this)?.headers.append(name, value);
+      } catch (error) {
+        // Header names the Headers class rejects are not recorded
+      }
+      return original.setRequestHeader.apply(this, arguments);
+    };
+
+    proto.send = function send(body) {
+      const request = recorder.xhrRequests.get(this);
+
+      if (request && recorder.isRecording) {
+        const start = performance.now();
+        const requestId = recorder.recordRequest({
+          initiator: 'xhr',
+          method: request.method,
+          url: request.url,
+          headers: request.headers,
+          body
+        });
+
+        this.addEventListener('loadend', () => {
+          recorder.recordXHRResponse(requestId, this, start);
+        }, { once: true });
+      }
+
+      return original.send.apply(this, arguments);
+    };
+  }
+
+  /**
+   * Records a finished XMLHttpRequest
+   * @param {number} requestId
+   * @param {XMLHttpRequest} xhr
+   * @param {number} start - performance.now() when the request was sent
+   */
+  recordXHRResponse(requestId, xhr, start) {
+    const headers = new Headers();
+    for (const line of xhr.getAllResponseHeaders().trim().split(/[\r\n]+/)) {
+      const separator = line.indexOf(':');
+      if (separator > 0) {
+        try {
+          headers.append(line.slice(0, separator).trim(), line.slice(separator + 1).trim());
+        } catch (error) {
+          // Malformed header lines are skipped
+        }
+      }
+    }
+
+    const isText = xhr.responseType === '' || xhr.responseType === 'text';
+    const contentLength = headers.get('content-length');
+    const data = {
+      status: xhr.status,
+      statusText: xhr.statusText,
+      ok: xhr.status >= 200 && xhr.status < 300,
+      duration: Math.round(performance.now() - start),
+      responseSize: contentLength !== null
+        ? parseInt(contentLength, 10)
+        : getBodySize(isText ? xhr.responseText : xhr.response)
+    };
+
+    // Status 0 means the request never got a response
+    if (xhr.status === 0) {
+      data.error = 'Network error';
+    }
+
+    const picked = this.pickHeaders(headers);
+    if (picked) {
+      data.headers = picked;
+    }
+
+    if (this.recordBody && TEXT_CONTENT_TYPE.test(headers.get('content-type') || '')) {
+      if (isText) {
+        data.body = getBodyText(xhr.responseText, this.maxBodyLength);
+      } else if (xhr.responseType === 'json') {
+        data.body = getBodyText(JSON.stringify(xhr.response), this.maxBodyLength);
+      }
+    }
+
+    this.recordResponse(requestId, data);
+  }
+
+  /**
+   * Starts recording network requests
+   */
+  start() {
+    if (this.isRecording) return;
+    this.isRecording = true;
+
+    this.patchFetch();
+    this.patchXHR();
+  }
+
+  /**
+   * Stops recording and restores fetch and XMLHttpRequest
+   */
+  stop() {
+    if (!this.isRecording) return;
+    this.isRecording = false;
+
+    if (this.originalFetch) {
+      window.fetch = this.originalFetch;
+      this.originalFetch = null;
+    }
+
+    if (this.originalXHR) {
+      Object.assign(XMLHttpRequest.prototype, this.originalXHR);
+      this.originalXHR = null;
+    }
+  }
+}
+
+export default NetworkRecorder;
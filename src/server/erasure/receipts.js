@@ -0,0 +1,61 @@
+/**
+ * Deletion Receipts - Signed records of erased user data
+ * @module erasure/receipts
+ */
+
+import { createHmac, randomBytes, randomUUID, timingSafeEqual } from 'node:crypto';
+
+/**
+ * Computes the signature of a receipt
+ * @param {string|Buffer} secret
+ * @param {object} receipt
+ * @returns {string} Hex HMAC-SHA256 of the receipt's JSON
+ */
+function computeSignature(secret, receipt) {
+  return createHmac('sha256', secret).update(JSON.stringify(receipt)).digest('hex');
+}
+
+/**
+ * Creates a signer for deletion receipts
+ * @param {string} [secret] - HMAC key; a random one only verifies receipts of this process
+ * @returns {{sign: Function, verify: Function}}
+ */
+export function createReceiptSigner(secret) {
+  const key = secret || randomBytes(32);
+
+  return {
+    /**
+     * Builds and signs the receipt of a user's erasure
+     * @param {string} userId
+     * @param {string[]} sessionIds - Sessions that were deleted
+     * @returns {{receipt: object, signature: string}}
+     */
+    sign(userId, sessionIds) {
+      const receipt = {
+        receiptId: randomUUID(),
+        type: 'user-erasure',
+        userId,
+        sessionIds,
+        sessionCount: sessionIds.length,
+        deletedAt: new Date().toISOString(),
+        algorithm: 'HMAC-SHA256'
+      };
+
+      return { receipt, signature: computeSignature(key, receipt) };
+    },
+
+    /**
+     * Checks that a receipt was signed with this signer's key and not changed since
+     * @param {object} receipt
+     * @param {string} signature
+     * @returns {boolean}
+     */
+    verify(receipt, signature) {
+      const expected = Buffer.from(computeSignature(key, receipt), 'hex');
+      const actual = Buffer.from(String(signature), 'hex');
+      return actual.length === expected.length && timingSafeEqual(actual, expected);
+    }
+  };
+}
+
+export default createReceiptSigner;
@@ -0,0 +1,36 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createReceiptSigner } from './receipts.js';
+
+describe('createReceiptSigner', () => {
+  it('signs a receipt listing the deleted sessions', () => {
+    const signer = createReceiptSigner('secret');
+    const { receipt, signature } = signer.sign('jane@example.com', ['wv_a', 'wv_b']);
+
+    assert.equal(receipt.type, 'user-erasure');
+    assert.equal(receipt.userId, 'jane@example.com');
+    assert.deepEqual(receipt.sessionIds, ['wv_a', 'wv_b']);
+    assert.equal(receipt.sessionCount, 2);
+    assert.equal(receipt.algorithm, 'HMAC-SHA256');
+    assert.match(signature, /^[0-9a-f]{64}$/);
+    assert.equal(signer.verify(receipt, signature), true);
+  });
+
+  it('rejects changed receipts and malformed signatures', () => {
+    const signer = createReceiptSigner('secret');
+    const { receipt, signature } = signer.sign('jane@example.com', ['wv_a']);
+
+    assert.equal(signer.verify({ ...receipt, sessionIds: [] }, signature), false);
+    assert.equal(signer.verify(receipt, signature.slice(2)), false);
+    assert.equal(signer.verify(receipt, 'not hex'), false);
+  });
+
+  it('only verifies receipts signed with the same secret', () => {
+    const { receipt, signature } = createReceiptSigner('secret').sign('jane@example.com', []);
+
+    assert.equal(createReceiptSigner('secret').verify(receipt, signature), true);
+    assert.equal(createReceiptSigner('other').verify(receipt, signature), false);
+    assert.equal(createReceiptSigner().verify(receipt, signature), false);
+  });
+});
@@ -9,7 +9,10 @@ import { join, extname } from 'node:path';
 import { fileURLToPath } from 'node:url';
 
 import { SessionStore } from './storage/SessionStore.js';
+import { KeyRing } from './storage/encryption.js';
 import { createWebvisorRoutes } from './routes/webvisor.js';
+import { createRedactor, DETECTORS } from './redaction/redactor.js';
+import { createReceiptSigner } from './erasure/receipts.js';
 
 const __dirname = fileURLToPath(new URL('.', import.meta.url));
 const PROJECT_ROOT = join(__dirname, '../..');
@@ -19,6 +22,22 @@ const PORT = process.env.PORT || 3000;
 const HOST = process.env.HOST || '0.0.0.0';
 const DATA_PATH = process.env.DATA_PATH || join(PROJECT_ROOT, 'data/sessions');
 const RETENTION_DAYS = parseInt(process.env.RETENTION_DAYS || '15', 10);
+const MAX_BODY_SIZE = parseInt(process.env.MAX_BODY_SIZE || String(10 * 1024 * 1024), 10);
+
+// Redaction on ingest: comma-separated built-in detectors ('none' for only custom patterns),
+// and custom patterns as a JSON object of name to regex source
+const REDACT_DETECTORS = process.env.REDACT_DETECTORS || Object.keys(DETECTORS).join(',');
+const REDACT_PATTERNS = process.env.REDACT_PATTERNS || '{}';
+
+// User index: batch meta field holding a user ID, besides identify() calls
+const USER_ID_META_FIELD = process.env.USER_ID_META_FIELD || null;
+
+// Key that signs deletion receipts
+const RECEIPT_SECRET = process.env.RECEIPT_SECRET || null;
+
+// Encryption at rest: ENCRYPTION_KEY_FILE, or ENCRYPTION_KEY with ENCRYPTION_KEY_ID,
+// plus ENCRYPTION_PREVIOUS_KEYS for files written before a rotation
+const KEY_RING = KeyRing.fromEnv(process.env);
 
 // MIME types for static files
 const MIME_TYPES = {
@@ -35,11 +54,60 @@ const MIME_TYPES = {
 // Initialize session store
 const sessionStore = new SessionStore({
   storagePath: DATA_PATH,
-  retentionDays: RETENTION_DAYS
+  retentionDays: RETENTION_DAYS,
+  userIdMetaField: USER_ID_META_FIELD,
+  keyRing: KEY_RING
 });
 
+/**
+ * Parses REDACT_PATTERNS and compiles each pattern, so mistakes stop the server at startup
+ * @param {string} value - JSON object of name to regex source
+ * @returns {Object<string, RegExp>}
+ */
+function parseRedactPatterns(value) {
+  const sources = JSON.parse(value);
+  if (!sources || typeof sources !== 'object' || Array.isArray(sources)) {
+    throw new Error('expected a JSON object of name to regex source');
+  }
+
+  const patterns = {};
+  for (const [name, source] of Object.entries(sources)) {
+    try {
+      patterns[name] = new RegExp(source, 'g');
+    } catch (error) {
+      throw new Error(`pattern "${name}": ${error.message}`);
+    }
+  }
+  return patterns;
+}
+
+// Initialize redaction
+let redactPatterns;
+try {
+  redactPatterns = parseRedactPatterns(REDACT_PATTERNS);
+} catch (error) {
+  console.error(`[Webvisor] Invalid REDACT_PATTERNS: ${error.message}`);
+  process.exit(1);
+}
+
+const redactor = createRedactor({
+  detectors: REDACT_DETECTORS === 'none' ? [] : REDACT_DETECTORS.split(',').map(name => name.trim()).filter(Boolean),
+  patterns: redactPatterns,
+  // The user ID field is looked up as sent, like identify() user IDs
+  keepMetaFields: USER_ID_META_FIELD ? [USER_ID_META_FIELD] : []
+});
+
+if (!RECEIPT_SECRET) {
+  console.warn('[Webvisor] RECEIPT_SECRET is not set; deletion receipts cannot be verified after a restart');
+}
+const receiptSigner = createReceiptSigner(RECEIPT_SECRET);
+
 // Initialize routes
-const webvisorRoutes = createWebvisorRoutes(sessionStore);
+const webvisorRoutes = createWebvisorRoutes(sessionStore, {
+  maxBodySize: MAX_BODY_SIZE,
+  redactor,
+  receiptSigner
+});
 
 /**
  * Converts Node.js IncomingMessage to Web Request
@@ -123,7 +191,7 @@ async function handleRequest(req) {
   const corsHeaders = {
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type'
+    'Access-Control-Allow-Headers': 'Content-Type, Content-Encoding'
   };
 
   // Handle CORS preflight
@@ -146,13 +214,40 @@ async function handleRequest(req) {
     else if (path === '/api/webvisor/sessions' && method === 'GET') {
       response = await webvisorRoutes.listSessions(req);
     }
-    // GET/DELETE /api/webvisor/sessions/:id
+    // GET /api/webvisor/metrics
+    else if (path === '/api/webvisor/metrics' && method === 'GET') {
+      response = await webvisorRoutes.getMetrics(req);
+    }
+    // GET/DELETE /api/webvisor/sessions/:id[/action]
     else if (path.startsWith('/api/webvisor/sessions/')) {
-      const sessionId = path.split('/')[4];
-      if (method === 'GET') {
-        response = await webvisorRoutes.getSession(req, sessionId);
-      } else if (method === 'DELETE') {
-        response = await webvisorRoutes.deleteSession(req, sessionId);
+      const [sessionId, action] = path.split('/').slice(4);
+      if (action === 'seek') {
+        if (method === 'GET') {
+          response = await webvisorRoutes.seekSession(req, sessionId);
+        }
+      } else if (action === 'render') {
+        if (method === 'GET') {
+          response = await webvisorRoutes.renderSession(req, sessionId);
+        }
+      } else if (!action) {
+        if (method === 'GET') {
+          response = await webvisorRoutes.getSession(req, sessionId);
+        } else if (method === 'DELETE') {
+          response = await webvisorRoutes.deleteSession(req, sessionId);
+        }
+      }
+    }
+    // GET /api/webvisor/users/:id/export, DELETE /api/webvisor/users/:id
+    else if (path.startsWith('/api/webvisor/users/')) {
+      const [userId, action] = path.split('/').slice(4);
+      if (action === 'export') {
+        if (method === 'GET') {
+          response = await webvisorRoutes.exportUser(req, userId);
+        }
+      } else if (!action) {
+        if (method === 'DELETE') {
+          response = await webvisorRoutes.deleteUser(req, userId);
+        }
       }
     }
 
@@ -217,6 +312,7 @@ sessionStore.init().then(() => {
 ║  URL: http://${HOST}:${PORT}
 ║  Data: ${DATA_PATH}
 ║  Retention: ${RETENTION_DAYS} days
+║  Encryption: ${KEY_RING ? `key "${KEY_RING.activeKeyId}"` : 'off'}
 ╚═══════════════════════════════════════════════════╝
     `);
   });
@@ -0,0 +1,282 @@
+/**
+ * Redactor - Replaces personal data in event batches before they are stored
+ * @module redaction/redactor
+ */
+
+import { EventType } from '../../shared/constants.js';
+
+// Keys whose values are stylesheet text, not page content
+const SKIPPED_KEYS = new Set(['cssRules', 'cssText']);
+
+// Base for parsing relative URLs; never part of the result
+const URL_BASE = 'http://redactor.invalid';
+
+/**
+ * Checks a card number with the Luhn algorithm
+ * @param {string} digits
+ * @returns {boolean}
+ */
+function isLuhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Checks the mod-97 checksum of an IBAN
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isIbanValid(value) {
+  const iban = value.replace(/ /g, '');
+  if (iban.length < 15 || iban.length > 34) return false;
+
+  // Country code and check digits move to the end, letters become 10-35
+  let remainder = 0;
+  for (const char of iban.slice(4) + iban.slice(0, 4)) {
+    const code = char >= 'A' ? String(char.charCodeAt(0) - 55) : char;
+    for (const digit of code) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+}
+
+/**
+ * Built-in detectors, run in this order. `validate` rejects matches that only
+ * look like the kind, such as digit runs failing the card checksum
+ */
+export const DETECTORS = {
+  // 13-19 digits with optional separators, starting like Visa, Mastercard, Amex or Discover
+  card: {
+    pattern: /(?<![\w.])[2-6](?:[ -]?\d){12,18}(?![\w.])/g,
+    validate: match => isLuhnValid(match.replace(/\D/g, ''))
+  },
+  iban: {
+    pattern: /(?<![\w])[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}(?!\w)/g,
+    validate: isIbanValid
+  },
+  email: {
+    pattern: /[\w.%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g
+  },
+  // Grouped numbers such as (555) 123-4567 or +44 20 7946 0958, or + followed by 8-15 digits
+  phone: {
+    pattern: /(?<![\w+])(?:\+\d{1,3}[ .-]?)?(?:\(\d{2,4}\)|\d{2,4})[ .-]?\d{3,4}[ .-]\d{3,4}(?![\w])|(?<![\w+])\+\d{8,15}(?!\w)/g
+  }
+};
+
+/**
+ * Makes a custom pattern global so every match is replaced
+ * @param {RegExp|string} pattern
+ * @returns {RegExp}
+ */
+function toGlobalPattern(pattern) {
+  if (typeof pattern === 'string') {
+    return new RegExp(pattern, 'g');
+  }
+  return pattern.global ? pattern : new RegExp(pattern.source, `${pattern.flags}g`);
+}
+
+/**
+ * Decodes a URL component, keeping malformed escapes as they are
+ * @param {string} value
+ * @returns {string}
+ */
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Creates a redactor
+ * @param {object} [options]
+ * @param {string[]} [options.detectors] - Built-in detectors to run; defaults to all of them
+ * @param {Object<string, RegExp|string>} [options.patterns] - Custom patterns by the name they are counted under
+ * @param {string[]} [options.keepMetaFields] - Batch meta fields stored as sent
+ * @returns {{redactEvents: Function, redactString: Function}}
+ */
+export function createRedactor(options = {}) {
+  const detectors = options.detectors || Object.keys(DETECTORS);
+  const keepMetaFields = new Set(options.keepMetaFields || []);
+
+  const rules = detectors.map((name) => {
+    if (!DETECTORS[name]) {
+      throw new Error(`Unknown redaction detector: ${name}`);
+    }
+    return { name, ...DETECTORS[name] };
+  });
+
+  for (const [name, pattern] of Object.entries(options.patterns || {})) {
+    rules.push({ name, pattern: toGlobalPattern(pattern) });
+  }
+
+  // Every built-in detector needs a digit or an @; custom patterns may match anything
+  const hasCustomPatterns = rules.some(rule => !DETECTORS[rule.name]);
+
+  /**
+   * Runs every rule over a piece of text
+   * @param {string} text
+   * @param {Object<string, number>} counts - Redactions by kind, updated in place
+   * @returns {string}
+   */
+  function applyRules(text, counts) {
+    if (!hasCustomPatterns && !/[\d@]/.test(text)) return text;
+
+    let result = text;
+    for (const rule of rules) {
+      result = result.replace(rule.pattern, (match) => {
+        if (rule.validate && !rule.validate(match)) return match;
+
+        counts[rule.name] = (counts[rule.name] || 0) + 1;
+        return `[REDACTED:${rule.name}]`;
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Redacts the decoded path segments, query values and fragment of a URL
+   * @param {string} value - Absolute or root-relative URL
+   * @param {Object<string, number>} counts
+   * @returns {string|null} The redacted URL, or null when the value is not a URL
+   */
+  function redactUrl(value, counts) {
+    let url;
+    try {
+      url = new URL(value, URL_BASE);
+    } catch (error) {
+      return null;
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+
+    let changed = false;
+    const redactPart = (part) => {
+      const decoded = safeDecode(part);
+      const redacted = applyRules(decoded, counts);
+      if (redacted === decoded) return part;
+
+      changed = true;
+      return encodeURIComponent(redacted);
+    };
+
+    const pathname = url.pathname.split('/').map(redactPart).join('/');
+
+    const params = [...url.searchParams].map(([key, param]) => {
+      const redacted = applyRules(param, counts);
+      if (redacted !== param) changed = true;
+      return [key, redacted];
+    });
+
+    const hash = url.hash ? `#${redactPart(url.hash.slice(1))}` : '';
+
+    // Credentials in the URL are never kept
+    if (url.username || url.password) {
+      counts.credentials = (counts.credentials || 0) + 1;
+      url.username = '';
+      url.password = '';
+      changed = true;
+    }
+
+    if (!changed) return value;
+
+    url.pathname = pathname;
+    url.search = params.length > 0 ? new URLSearchParams(params).toString() : url.search;
+    url.hash = hash;
+
+    // Relative URLs stay relative
+    if (url.origin === URL_BASE) {
+      return `${url.pathname}${url.search}${url.hash}`;
+    }
+    return value.startsWith('//') ? url.href.slice(url.protocol.length) : url.href;
+  }
+
+  /**
+   * Redacts a string: URLs part by part, anything else as text
+   * @param {string} value
+   * @param {Object<string, number>} [counts]
+   * @returns {string}
+   */
+  function redactString(value, counts = {}) {
+    // Data URLs are embedded files, not text
+    if (value.startsWith('data:')) return value;
+
+    if (/^(?:https?:)?\/\/[^\s]*$|^\/[^\s]*$/i.test(value)) {
+      const redacted = redactUrl(value, counts);
+      if (redacted !== null) return redacted;
+    }
+
+    return applyRules(value, counts);
+  }
+
+  /**
+   * Redacts every string inside a value, in place
+   * @param {*} value
+   * @param {Object<string, number>} counts
+   * @returns {*} The redacted value
+   */
+  function redactValue(value, counts) {
+    if (typeof value === 'string') {
+      return redactString(value, counts);
+    }
+
+    if (Array.isArray(value)) {
+      for (let i = 0; i < value.length; i++) {
+        value[i] = redactValue(value[i], counts);
+      }
+    } else if (value && typeof value === 'object') {
+      for (const key of Object.keys(value)) {
+        if (!SKIPPED_KEYS.has(key)) {
+          value[key] = redactValue(value[key], counts);
+        }
+      }
+    }
+    return value;
+  }
+
+  return {
+    /**
+     * Redacts a batch of events and its meta, in place
+     * @param {object[]} events
+     * @param {object} [meta]
+     * @returns {Object<string, number>} Redactions by kind
+     */
+    redactEvents(events, meta) {
+      const counts = {};
+
+      for (const event of events) {
+        if (!event || typeof event !== 'object') continue;
+
+        // The user ID is set on purpose by the site, and sessions are looked up by it
+        if (event.type === EventType.IDENTIFY && event.data) {
+          const { userId, ...data } = event.data;
+          event.data = { userId, ...redactValue(data, counts) };
+        } else {
+          event.data = redactValue(event.data, counts);
+        }
+      }
+
+      if (meta && typeof meta === 'object') {
+        for (const key of Object.keys(meta)) {
+          if (!keepMetaFields.has(key)) {
+            meta[key] = redactValue(meta[key], counts);
+          }
+        }
+      }
+      return counts;
+    },
+
+    redactString
+  };
+}
+
+export default createRedactor;
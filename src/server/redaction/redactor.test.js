@@ -0,0 +1,89 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { EventType } from '../../shared/constants.js';
+import { createRedactor } from './redactor.js';
+
+describe('createRedactor', () => {
+  describe('redactString', () => {
+    const redactor = createRedactor();
+
+    /**
+     * Redacts a string and returns it with the counts
+     * @param {string} value
+     * @returns {{text: string, counts: object}}
+     */
+    function redact(value) {
+      const counts = {};
+      return { text: redactor.redactString(value, counts), counts };
+    }
+
+    it('redacts card numbers that pass the Luhn check', () => {
+      assert.deepEqual(redact('Card 4111 1111 1111 1111 ok'), {
+        text: 'Card [REDACTED:card] ok',
+        counts: { card: 1 }
+      });
+      assert.equal(redact('Card 4111111111111112').counts.card, undefined);
+    });
+
+    it('redacts IBANs that pass the mod-97 check', () => {
+      assert.deepEqual(redact('IBAN GB82 WEST 1234 5698 7654 32'), {
+        text: 'IBAN [REDACTED:iban]',
+        counts: { iban: 1 }
+      });
+      assert.deepEqual(redact('GB82WEST12345698765433'), { text: 'GB82WEST12345698765433', counts: {} });
+    });
+
+    it('redacts emails and phone numbers', () => {
+      assert.equal(redact('mail jane.doe@example.com').text, 'mail [REDACTED:email]');
+      assert.equal(redact('call +44 20 7946 0958').text, 'call [REDACTED:phone]');
+      assert.equal(redact('order 12345').text, 'order 12345');
+    });
+
+    it('redacts URLs part by part and strips credentials', () => {
+      const { text, counts } = redact('https://user:pw@example.com/u/jane%40example.com?email=jane@example.com&page=2#ref');
+
+      assert.equal(text, 'https://example.com/u/%5BREDACTED%3Aemail%5D?email=%5BREDACTED%3Aemail%5D&page=2#ref');
+      assert.deepEqual(counts, { email: 2, credentials: 1 });
+    });
+
+    it('keeps relative URLs relative', () => {
+      assert.equal(redact('/search?q=jane@example.com').text, '/search?q=%5BREDACTED%3Aemail%5D');
+      assert.equal(redact('//cdn.example.com/a.png').text, '//cdn.example.com/a.png');
+    });
+
+    it('leaves data URLs alone', () => {
+      assert.equal(redact('data:text/plain,jane@example.com').text, 'data:text/plain,jane@example.com');
+    });
+  });
+
+  describe('redactEvents', () => {
+    it('redacts event data and meta, keeping user IDs and stylesheet text', () => {
+      const redactor = createRedactor({ keepMetaFields: ['account'] });
+      const events = [
+        { type: EventType.IDENTIFY, timestamp: 1, data: { userId: 'jane@example.com', traits: { email: 'jane@example.com' } } },
+        { type: EventType.DOM_MUTATION, timestamp: 2, data: { cssText: 'a{content:"jane@example.com"}', text: 'jane@example.com' } }
+      ];
+      const meta = { account: 'jane@example.com', referrer: 'jane@example.com' };
+
+      const counts = redactor.redactEvents(events, meta);
+
+      assert.deepEqual(counts, { email: 3 });
+      assert.deepEqual(events[0].data, { userId: 'jane@example.com', traits: { email: '[REDACTED:email]' } });
+      assert.deepEqual(events[1].data, { cssText: 'a{content:"jane@example.com"}', text: '[REDACTED:email]' });
+      assert.deepEqual(meta, { account: 'jane@example.com', referrer: '[REDACTED:email]' });
+    });
+
+    it('runs custom patterns and only the chosen detectors', () => {
+      const redactor = createRedactor({ detectors: ['email'], patterns: { ticket: /TCK-\d+/ } });
+      const events = [{ type: EventType.CUSTOM, timestamp: 1, data: { note: 'TCK-42 from jane@example.com, 4111 1111 1111 1111' } }];
+
+      assert.deepEqual(redactor.redactEvents(events), { email: 1, ticket: 1 });
+      assert.equal(events[0].data.note, '[REDACTED:ticket] from [REDACTED:email], 4111 1111 1111 1111');
+    });
+
+    it('rejects unknown detectors', () => {
+      assert.throws(() => createRedactor({ detectors: ['ssn'] }), /Unknown redaction detector: ssn/);
+    });
+  });
+});
@@ -0,0 +1,766 @@
+/**
+ * Session Renderer - Rebuilds a recorded page as static HTML without a browser
+ * @module renderSession
+ */
+
+import { EventType, MutationType, StyleSheetAction, getPlaceholderStyle } from '../../shared/constants.js';
+
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+const COMMENT_NODE = 8;
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+const RAW_TEXT_ELEMENTS = new Set(['style', 'xmp', 'iframe', 'noembed', 'noframes']);
+
+// Tag and attribute names are written as recorded, so anything else could break out of the tag
+const SAFE_NAME = /^[A-Za-z][\w:.-]*$/;
+
+// Attributes holding a URL the browser may navigate to or load
+const URL_ATTRIBUTES = /^(?:href|xlink:href|src|action|formaction|data|poster)$/i;
+
+/**
+ * Escapes text content for HTML output
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeText(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Escapes an attribute value for HTML output
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeAttribute(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Gets the output tag name; HTML names are recorded upper-case, SVG names as-is
+ * @param {object} node
+ * @returns {string}
+ */
+function getTagName(node) {
+  return node.name === node.name.toUpperCase() ? node.name.toLowerCase() : node.name;
+}
+
+/**
+ * Checks if an attribute could run code or navigate the rendered page
+ * @param {string} name
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isUnsafeAttribute(name, value) {
+  if (!SAFE_NAME.test(name) || /^on/i.test(name)) {
+    return true;
+  }
+
+  // Browsers ignore control characters and whitespace anywhere in a URL scheme
+  return URL_ATTRIBUTES.test(name) &&
+    /^(?:javascript|vbscript):/i.test(String(value || '').replace(/[\u0000-\u0020\u007f]/g, ''));
+}
+
+/**
+ * Removes CSS escapes produced by CSS.escape
+ * @param {string} value
+ * @returns {string}
+ */
+function unescapeCSS(value) {
+  return value.replace(/\\([0-9a-fA-F]{1,6}) ?|\\(.)/g, (match, hex, char) =>
+    hex ? String.fromCodePoint(parseInt(hex, 16)) : char
+  );
+}
+
+/**
+ * Splits stylesheet text into top-level rules
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitCSSRules(text) {
+  const rules = [];
+  const source = text.replace(/\/\*[\s\S]*?\*\//g, '');
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}' || (char === ';' && depth === 0)) {
+      if (char === '}') depth--;
+      if (depth === 0) {
+        const rule = source.slice(start, i + 1).trim();
+        if (rule) rules.push(rule);
+        start = i + 1;
+      }
+    }
+  }
+
+  return rules;
+}
+
+/**
+ * Parses one compound selector produced by getSelector
+ * @param {string} part - e.g. `#main`, `div.card.active:nth-of-type(2)`
+ * @returns {object}
+ */
+function parseSelectorPart(part) {
+  if (part.startsWith('#')) {
+    return { id: unescapeCSS(part.slice(1)) };
+  }
+
+  const nthMatch = part.match(/:nth-of-type\((\d+)\)$/);
+  const base = nthMatch ? part.slice(0, nthMatch.index) : part;
+  const [tag, ...classes] = base.split(/(?<!\\)\./);
+
+  return {
+    tag: tag.toLowerCase(),
+    classes: classes.map(unescapeCSS),
+    nth: nthMatch ? parseInt(nthMatch[1], 10) : null
+  };
+}
+
+/**
+ * Tracks the serialized tree so mutations can be applied by node ID
+ */
+class VirtualDocument {
+  /**
+   * @param {object} snapshot - DOM_SNAPSHOT event data
+   * @param {string} [nonce] - CSP nonce of the injected scroll script
+   */
+  constructor(snapshot, nonce) {
+    this.nonce = nonce;
+    this.doctype = snapshot.doctype;
+    this.url = snapshot.url;
+    this.scroll = snapshot.scroll || { x: 0, y: 0 };
+    this.root = structuredClone(snapshot.html);
+
+    /** @type {Map<number, string[]>} */
+    this.sheets = new Map();
+    this.adoptedSheetIds = this.adoptSheets(snapshot.adoptedStyleSheets || []);
+
+    /** @type {Map<number, object>} */
+    this.nodes = new Map();
+    /** @type {Map<object, object>} */
+    this.parents = new Map();
+    this.hasScrolledElements = false;
+
+    this.index(this.root, null);
+  }
+
+  /**
+   * Registers a subtree in the ID and parent maps
+   * @param {object} node
+   * @param {object|null} parent
+   */
+  index(node, parent) {
+    if (!node) return;
+
+    if (node.id !== undefined) {
+      this.nodes.set(node.id, node);
+    }
+    this.parents.set(node, parent);
+
+    if (node.scrollTop || node.scrollLeft) {
+      this.hasScrolledElements = true;
+    }
+
+    // Shadow roots and frame documents keep their own adopted stylesheets
+    if (node.adoptedStyleSheets && !node.adoptedSheetIds) {
+      node.adoptedSheetIds = this.adoptSheets(node.adoptedStyleSheets);
+    }
+
+    for (const child of node.children || []) {
+      this.index(child, node);
+    }
+
+    // Nested trees hang off their host element or frame document
+    this.index(node.html, node);
+    this.index(node.shadowRoot, node);
+    this.index(node.contentDocument, node);
+  }
+
+  /**
+   * Detaches a node from its parent
+   * @param {object} node
+   */
+  detach(node) {
+    const parent = this.parents.get(node);
+    if (!parent?.children) return;
+
+    const position = parent.children.indexOf(node);
+    if (position !== -1) {
+      parent.children.splice(position, 1);
+    }
+    this.parents.set(node, null);
+  }
+
+  /**
+   * Applies a DOM_MUTATION event
+   * @param {object} data
+   */
+  applyMutation(data) {
+    // Batches address every node by ID and have no single target
+    if (data.mutationType === MutationType.BATCH) {
+      // Batched subtrees are serialized when flushed, so they are never stale
+      this.removeNodes(data.removes);
+      this.addNodes(data.adds, null, false);
+
+      for (const { id, attrs } of data.attributes || []) {
+        const element = this.nodes.get(id);
+        if (element?.type !== ELEMENT_NODE) continue;
+
+        for (const [name, value] of Object.entries(attrs)) {
+          this.setAttribute(element, name, value);
+        }
+      }
+
+      for (const { id, text } of data.texts || []) {
+        const node = this.nodes.get(id);
+        if (node) {
+          node.text = text;
+        }
+      }
+      return;
+    }
+
+    const target = this.nodes.get(data.targetId);
+    if (!target) return;
+
+    switch (data.mutationType) {
+      case MutationType.CHILD_LIST:
+        this.removeNodes(data.removedNodes);
+        this.addNodes(data.addedNodes, target);
+        break;
+
+      case MutationType.ATTRIBUTES:
+        if (target.type !== ELEMENT_NODE) break;
+
+        this.setAttribute(target, data.attributeName, data.newValue);
+        break;
+
+      case MutationType.CHARACTER_DATA:
+        target.text = data.newValue;
+        break;
+
+      case MutationType.ATTACH_ROOT:
+        if (data.shadowRoot) {
+          target.shadowRoot = structuredClone(data.shadowRoot);
+          this.index(target.shadowRoot, target);
+        }
+        if (data.contentDocument) {
+          target.contentDocument = structuredClone(data.contentDocument);
+          this.index(target.contentDocument, target);
+        }
+        break;
+    }
+  }
+
+  /**
+   * Detaches removed nodes
+   * @param {number[]} [ids]
+   */
+  removeNodes(ids) {
+    for (const id of ids || []) {
+      const removed = this.nodes.get(id);
+      if (removed) {
+        this.detach(removed);
+      }
+    }
+  }
+
+  /**
+   * Inserts added nodes, moving nodes that are already in the tree
+   * @param {object[]} [entries] - Added node entries with parentId, previousId and nextId
+   * @param {object|null} target - Parent used when an entry's parent is unknown
+   * @param {boolean} [reuse] - Keep a node already in the tree instead of its serialization
+   */
+  addNodes(entries, target, reuse = true) {
+    for (const added of entries || []) {
+      const parent = this.nodes.get(added.parentId) || target;
+      const existing = this.nodes.get(added.id);
+      const node = (reuse && existing) || structuredClone(added.node);
+      if (!parent || !node) continue;
+
+      if (existing) {
+        this.detach(existing);
+      }
+      if (node !== existing) {
+        this.index(node, parent);
+      }
+
+      this.insert(parent, node, added);
+    }
+  }
+
+  /**
+   * Sets or removes an attribute on a serialized element
+   * @param {object} element
+   * @param {string} name
+   * @param {string|null} value - null removes the attribute
+   */
+  setAttribute(element, name, value) {
+    element.attrs ??= {};
+    if (value === null) {
+      delete element.attrs[name];
+    } else {
+      element.attrs[name] = value;
+    }
+  }
+
+  /**
+   * Inserts a node at its recorded position among its siblings
+   * @param {object} parent
+   * @param {object} node
+   * @param {object} added - Added node entry with previousId and nextId
+   */
+  insert(parent, node, added) {
+    parent.children ??= [];
+
+    const next = this.nodes.get(added.nextId);
+    const previous = this.nodes.get(added.previousId);
+    let position = parent.children.length;
+
+    if (next && this.parents.get(next) === parent) {
+      position = parent.children.indexOf(next);
+    } else if (previous && this.parents.get(previous) === parent) {
+      position = parent.children.indexOf(previous) + 1;
+    }
+
+    parent.children.splice(position, 0, node);
+    this.parents.set(node, parent);
+  }
+
+  /**
+   * Registers adopted stylesheets and returns their IDs in order
+   * @param {object[]} sheets - Sheet IDs, with rules for sheets not seen before
+   * @returns {number[]}
+   */
+  adoptSheets(sheets) {
+    return sheets.map(({ id, rules }) => {
+      if (rules) {
+        this.sheets.set(id, [...rules]);
+      }
+      return id;
+    });
+  }
+
+  /**
+   * Applies a STYLE_SHEET_RULE event
+   * @param {object} data
+   */
+  applyStyleSheetRule(data) {
+    let rules;
+
+    if (data.ownerId !== undefined) {
+      const owner = this.nodes.get(data.ownerId);
+      if (!owner) return;
+
+      // Stylesheets recorded as markup only are split into rules on first change
+      if (!owner.cssRules) {
+        if (getTagName(owner) !== 'style') return;
+        const text = (owner.children || []).map(child => child.text || '').join('');
+        owner.cssRules = splitCSSRules(text);
+      }
+      rules = owner.cssRules;
+    } else {
+      rules = this.sheets.get(data.sheetId);
+    }
+
+    if (!rules) return;
+
+    switch (data.action) {
+      case StyleSheetAction.INSERT_RULE:
+        rules.splice(Math.min(data.index ?? 0, rules.length), 0, data.rule);
+        break;
+
+      case StyleSheetAction.DELETE_RULE:
+        rules.splice(data.index, 1);
+        break;
+
+      case StyleSheetAction.REPLACE:
+        rules.splice(0, rules.length, ...splitCSSRules(data.text || ''));
+        break;
+    }
+  }
+
+  /**
+   * Checks if a node matches a parsed selector part
+   * @param {object} node
+   * @param {object} part
+   * @returns {boolean}
+   */
+  matchesPart(node, part) {
+    if (node?.type !== ELEMENT_NODE) return false;
+
+    const attrs = node.attrs || {};
+
+    if (part.id !== undefined) {
+      return attrs.id === part.id;
+    }
+
+    if (node.name.toLowerCase() !== part.tag) return false;
+
+    const classList = (attrs.class || '').trim().split(/\s+/);
+    if (!part.classes.every(c => classList.includes(c))) return false;
+
+    if (part.nth !== null) {
+      const parent = this.parents.get(node);
+      const siblings = (parent?.children || []).filter(
+        child => child.type === ELEMENT_NODE && child.name === node.name
+      );
+      return siblings.indexOf(node) + 1 === part.nth;
+    }
+
+    return true;
+  }
+
+  /**
+   * Finds the element a getSelector selector refers to
+   * @param {string} selector
+   * @returns {object|null}
+   */
+  querySelector(selector) {
+    if (!selector) return null;
+
+    const parts = selector.split(' > ').map(parseSelectorPart);
+
+    const matches = (node) => {
+      let current = node;
+      for (let i = parts.length - 1; i >= 0; i--) {
+        if (!this.matchesPart(current, parts[i])) return false;
+        current = this.parents.get(current);
+      }
+      return true;
+    };
+
+    const stack = [this.root];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      if (matches(node)) return node;
+      if (node.children) {
+        stack.push(...[...node.children].reverse());
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Applies a SCROLL event to the viewport or a scroll container
+   * @param {object} data
+   */
+  applyScroll(data) {
+    if (data.scrollTop === undefined) {
+      this.scroll = { x: data.x, y: data.y };
+      return;
+    }
+
+    const element = this.nodes.get(data.nodeId) ||
+      (data.hostId === undefined ? this.querySelector(data.selector) : null);
+    if (!element) return;
+
+    element.scrollTop = data.scrollTop;
+    element.scrollLeft = data.scrollLeft;
+    this.hasScrolledElements = true;
+  }
+
+  /**
+   * Applies an INPUT event to the matching form field
+   * @param {object} data
+   */
+  applyInput(data) {
+    // Selectors only describe the top-level document; nested targets need their ID
+    const element = this.nodes.get(data.nodeId) ||
+      (data.hostId === undefined ? this.querySelector(data.selector) : null);
+    if (!element || data.action) return;
+
+    if (data.checked !== undefined) {
+      element.checked = data.checked;
+    } else if (data.selectedIndex !== undefined) {
+      element.selectedIndex = data.selectedIndex;
+    } else if (data.value !== undefined) {
+      element.value = data.value;
+    }
+  }
+
+  /**
+   * Serializes the document to standalone HTML
+   * @returns {string}
+   */
+  toHTML() {
+    return this.renderDocument(this, this.root);
+  }
+
+  /**
+   * Serializes a top-level or frame document
+   * @param {object} owner - Document state: doctype, url, scroll and adopted sheet IDs
+   * @param {object} html - Root element
+   * @returns {string}
+   */
+  renderDocument(owner, html) {
+    const doctype = owner.doctype ? `<!DOCTYPE ${escapeText(owner.doctype.name)}>\n` : '';
+    return doctype + this.serialize(html, owner);
+  }
+
+  /**
+   * Serializes a node and its children
+   * @param {object} node
+   * @param {object} owner - Document the node belongs to
+   * @returns {string}
+   */
+  serialize(node, owner) {
+    if (!node) return '';
+
+    if (node.type === TEXT_NODE) {
+      const parent = this.parents.get(node);
+      if (parent?.type === ELEMENT_NODE && RAW_TEXT_ELEMENTS.has(getTagName(parent))) {
+        return String(node.text || '').replace(/<\//g, '<\\/');
+      }
+      return escapeText(node.text || '');
+    }
+
+    if (node.type === COMMENT_NODE) {
+      return `<!--${String(node.text || '').replace(/--/g, '- -')}-->`;
+    }
+
+    if (node.type !== ELEMENT_NODE) return '';
+
+    const tagName = getTagName(node);
+    if (!SAFE_NAME.test(tagName)) return '';
+
+    // Scripts and refresh redirects are never part of a static render
+    if (tagName.toLowerCase() === 'script') return '';
+    if (tagName === 'meta' && /refresh/i.test(node.attrs?.['http-equiv'] || '')) return '';
+
+    // Recorded CSSOM rules replace the stylesheet's markup and source URL
+    if (node.cssRules && (tagName === 'style' || tagName === 'link')) {
+      const styleAttrs = tagName === 'style' ? { ...node.attrs } : {};
+      if (node.attrs?.media) styleAttrs.media = node.attrs.media;
+      return `<style${this.renderAttributes(styleAttrs)}>${this.renderRules(node.cssRules)}</style>`;
+    }
+
+    const attrs = { ...node.attrs };
+    let children = node.children || [];
+
+    // Live form state becomes markup
+    if (tagName === 'input') {
+      if (node.value !== undefined) attrs.value = node.value;
+      if (node.checked === true) attrs.checked = '';
+      if (node.checked === false) delete attrs.checked;
+    } else if (tagName === 'textarea' && node.value !== undefined) {
+      children = [{ type: TEXT_NODE, text: node.value }];
+    } else if (tagName === 'select' && node.selectedIndex !== undefined) {
+      this.getOptions(node).forEach((option, index) => {
+        option.attrs ??= {};
+        if (index === node.selectedIndex) {
+          option.attrs.selected = '';
+        } else {
+          delete option.attrs.selected;
+        }
+      });
+    }
+
+    // Blocked elements are an empty box of their recorded size
+    if (node.blocked) {
+      attrs.style = getPlaceholderStyle(node.attrs?.style, node.blocked);
+    }
+
+    // Container scroll offsets are restored by the script from renderHeadExtras
+    if (node.scrollTop || node.scrollLeft) {
+      attrs['data-webvisor-scroll'] = `${Number(node.scrollTop) || 0},${Number(node.scrollLeft) || 0}`;
+    }
+
+    // Frame documents are inlined in place of the frame's source; recorded srcdoc
+    // markup is never trusted
+    delete attrs.srcdoc;
+    if (node.contentDocument) {
+      delete attrs.src;
+      attrs.srcdoc = this.renderDocument(node.contentDocument, node.contentDocument.html);
+    }
+
+    let html = `<${tagName}${this.renderAttributes(attrs)}>`;
+
+    if (tagName === 'head') {
+      html += this.renderHeadExtras(node, owner);
+    }
+
+    // Open shadow roots use declarative shadow DOM
+    if (node.shadowRoot) {
+      html += '<template shadowrootmode="open">';
+      for (const child of node.shadowRoot.children || []) {
+        html += this.serialize(child, owner);
+      }
+      html += `${this.renderAdoptedSheets(node.shadowRoot)}</template>`;
+    }
+
+    if (VOID_ELEMENTS.has(tagName)) return html;
+
+    for (const child of children) {
+      html += this.serialize(child, owner);
+    }
+
+    // Adopted stylesheets cascade after the document's own sheets
+    if (tagName === 'head') {
+      html += this.renderAdoptedSheets(owner);
+    }
+
+    return `${html}</${tagName}>`;
+  }
+
+  /**
+   * Serializes attributes, dropping ones that could run code
+   * @param {object} attrs
+   * @returns {string}
+   */
+  renderAttributes(attrs) {
+    let html = '';
+    for (const [name, value] of Object.entries(attrs)) {
+      if (isUnsafeAttribute(name, value)) continue;
+      html += value === '' ? ` ${name}` : ` ${name}="${escapeAttribute(value)}"`;
+    }
+    return html;
+  }
+
+  /**
+   * Renders the adopted stylesheets of a document or shadow root as <style> elements
+   * @param {object} root
+   * @returns {string}
+   */
+  renderAdoptedSheets(root) {
+    let html = '';
+    for (const id of root.adoptedSheetIds || []) {
+      html += `<style>${this.renderRules(this.sheets.get(id) || [])}</style>`;
+    }
+    return html;
+  }
+
+  /**
+   * Joins stylesheet rules for a <style> element
+   * @param {string[]} rules
+   * @returns {string}
+   */
+  renderRules(rules) {
+    return rules.join('\n').replace(/<\//g, '<\\/');
+  }
+
+  /**
+   * Gets the options of a select element in document order
+   * @param {object} select
+   * @returns {object[]}
+   */
+  getOptions(select) {
+    const options = [];
+
+    for (const child of select.children || []) {
+      if (child.type !== ELEMENT_NODE) continue;
+
+      const tagName = getTagName(child);
+      if (tagName === 'option') {
+        options.push(child);
+      } else if (tagName === 'optgroup') {
+        options.push(...this.getOptions(child));
+      }
+    }
+
+    return options;
+  }
+
+  /**
+   * Builds the markup added to <head>: a base URL for relative resources and
+   * a script restoring the recorded scroll positions
+   * @param {object} head
+   * @param {object} owner - Document the head belongs to
+   * @returns {string}
+   */
+  renderHeadExtras(head, owner) {
+    let html = '';
+
+    const hasBase = (head.children || []).some(
+      child => child.type === ELEMENT_NODE && getTagName(child) === 'base'
+    );
+    // srcdoc frames resolve URLs against the parent document
+    if (owner.url && !owner.url.startsWith('about:') && !hasBase) {
+      html += `<base href="${escapeAttribute(owner.url)}">`;
+    }
+
+    const { x, y } = owner.scroll || {};
+    if (x || y || this.hasScrolledElements) {
+      const nonce = this.nonce ? ` nonce="${escapeAttribute(this.nonce)}"` : '';
+      html += `<script${nonce}>addEventListener("load",function(){` +
+        `scrollTo(${Number(x) || 0},${Number(y) || 0});` +
+        'document.querySelectorAll("[data-webvisor-scroll]").forEach(function(e){' +
+        'var s=e.getAttribute("data-webvisor-scroll").split(",");' +
+        'e.scrollTop=+s[0];e.scrollLeft=+s[1]})})</script>';
+    }
+
+    return html;
+  }
+}
+
+/**
+ * Renders the page as it looked at a point in a session
+ * @param {object} state - Result of SessionStore.getSessionAt
+ * @param {object} state.checkpoint - DOM_SNAPSHOT event to start from
+ * @param {object[]} state.events - Events after the checkpoint, in order
+ * @param {object} [options]
+ * @param {string} [options.nonce] - CSP nonce set on the injected scroll script
+ * @returns {string} Standalone HTML document
+ */
+export function renderSession(state, options = {}) {
+  const doc = new VirtualDocument(state.checkpoint.data, options.nonce);
+
+  for (const event of state.events) {
+    const data = event.data || {};
+
+    switch (event.type) {
+      case EventType.DOM_MUTATION:
+        doc.applyMutation(data);
+        break;
+
+      case EventType.INPUT:
+        doc.applyInput(data);
+        break;
+
+      case EventType.SCROLL:
+        doc.applyScroll(data);
+        break;
+
+      case EventType.STYLE_SHEET_RULE:
+        doc.applyStyleSheetRule(data);
+        break;
+
+      case EventType.ADOPTED_STYLE_SHEETS: {
+        const owner = data.ownerId === null ? doc : doc.nodes.get(data.ownerId);
+        if (owner) {
+          owner.adoptedSheetIds = doc.adoptSheets(data.sheets);
+        }
+        break;
+      }
+    }
+  }
+
+  return doc.toHTML();
+}
+
+export default renderSession;
@@ -0,0 +1,124 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { EventType, MutationType } from '../../shared/constants.js';
+import { renderSession } from './renderSession.js';
+
+/**
+ * Builds a serialized element
+ * @param {number} id
+ * @param {string} name - Tag name as recorded, upper-case for HTML
+ * @param {object} [attrs]
+ * @param {object[]} [children]
+ * @returns {object}
+ */
+function element(id, name, attrs = {}, children = []) {
+  return { type: 1, id, name, attrs, children };
+}
+
+/**
+ * Builds a serialized text node
+ * @param {number} id
+ * @param {string} text
+ * @returns {object}
+ */
+function text(id, text) {
+  return { type: 3, id, text };
+}
+
+/**
+ * Builds a checkpoint of a page with the given body children
+ * @param {object[]} body
+ * @param {object} [data] - More DOM_SNAPSHOT data
+ * @returns {object}
+ */
+function checkpoint(body, data = {}) {
+  return {
+    type: EventType.DOM_SNAPSHOT,
+    timestamp: 1000,
+    data: {
+      doctype: { name: 'html' },
+      url: 'https://example.com/form',
+      html: element(1, 'HTML', {}, [element(2, 'HEAD'), element(3, 'BODY', {}, body)]),
+      ...data
+    }
+  };
+}
+
+describe('renderSession', () => {
+  it('applies mutations, input values and scroll positions after the checkpoint', () => {
+    const html = renderSession({
+      checkpoint: checkpoint([element(10, 'P', {}, [text(11, 'Before')]), element(12, 'INPUT', { name: 'q' })]),
+      events: [
+        {
+          type: EventType.DOM_MUTATION,
+          timestamp: 1100,
+          data: {
+            mutationType: MutationType.BATCH,
+            adds: [{ id: 20, parentId: 3, previousId: 12, nextId: null, node: element(20, 'DIV', { class: 'toast' }) }],
+            attributes: [{ id: 10, attrs: { class: 'done' } }],
+            texts: [{ id: 11, text: 'After' }]
+          }
+        },
+        { type: EventType.INPUT, timestamp: 1200, data: { nodeId: 12, value: 'shoes' } },
+        { type: EventType.SCROLL, timestamp: 1300, data: { x: 0, y: 480 } }
+      ]
+    });
+
+    assert.ok(html.startsWith('<!DOCTYPE html>\n<html><head><base href="https://example.com/form">'));
+    assert.match(html, /<p class="done">After<\/p><input name="q" value="shoes"><div class="toast"><\/div>/);
+    assert.match(html, /scrollTo\(0,480\)/);
+  });
+
+  it('removes scripts, event handlers, script URLs and refresh redirects', () => {
+    const html = renderSession({
+      checkpoint: checkpoint([
+        element(10, 'SCRIPT', {}, [text(11, 'alert(1)')]),
+        element(12, 'IMG', { src: '/a.png', onerror: 'alert(1)' }),
+        element(13, 'A', { href: ' java\tscript:alert(1)' }, [text(14, 'link')]),
+        element(15, 'META', { 'http-equiv': 'Refresh', content: '0;url=https://evil.example' }),
+        element(16, 'IFRAME', { srcdoc: '<script>alert(1)</script>' }),
+        element(17, 'DIV', { 'x"><script>alert(1)</script': '' }),
+        element(18, 'svg"><script>alert(1)</script><x', {})
+      ]),
+      events: []
+    });
+
+    assert.doesNotMatch(html, /script|alert|onerror|Refresh|srcdoc/i);
+    assert.match(html, /<img src="\/a.png"><a>link<\/a><iframe><\/iframe><div><\/div><\/body>/);
+  });
+
+  it('escapes text, attribute values and the doctype name', () => {
+    const html = renderSession({
+      checkpoint: checkpoint(
+        [
+          element(10, 'P', { title: '"><b>' }, [text(11, '<b>bold</b>')]),
+          element(12, 'STYLE', {}, [text(13, 'p{}</style><script>alert(1)</script>')])
+        ],
+        { doctype: { name: 'html><script>alert(1)</script' } }
+      ),
+      events: []
+    });
+
+    assert.ok(html.startsWith('<!DOCTYPE html&gt;&lt;script&gt;'));
+    assert.match(html, /<p title="&quot;><b>">&lt;b&gt;bold&lt;\/b&gt;<\/p>/);
+    assert.match(html, /<style>p\{\}<\\\/style><script>alert\(1\)<\\\/script><\/style>/);
+  });
+
+  it('sets the CSP nonce on the scroll script only', () => {
+    const state = {
+      checkpoint: checkpoint([element(10, 'SCRIPT', { nonce: 'recorded' })], { scroll: { x: 0, y: 100 } }),
+      events: []
+    };
+
+    const html = renderSession(state, { nonce: 'abc"123' });
+    assert.equal(html.match(/<script/g).length, 1);
+    assert.match(html, /<script nonce="abc&quot;123">addEventListener\("load"/);
+    assert.match(renderSession(state), /<script>addEventListener\("load"/);
+  });
+
+  it('adds no script without scroll positions', () => {
+    const html = renderSession({ checkpoint: checkpoint([]), events: [] }, { nonce: 'abc' });
+    assert.doesNotMatch(html, /<script/);
+  });
+});
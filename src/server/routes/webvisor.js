@@ -3,24 +3,209 @@
  * @module routes/webvisor
  */
 
+import { randomBytes } from 'node:crypto';
+import { gunzip, inflate } from 'node:zlib';
+import { promisify } from 'node:util';
+
+import { renderSession } from '../render/renderSession.js';
+import { createRedactor } from '../redaction/redactor.js';
+import { createReceiptSigner } from '../erasure/receipts.js';
+import { EncryptionError } from '../storage/encryption.js';
+
+// Content types of event batches; sendBeacon posts text/plain to avoid a CORS preflight
+const EVENT_CONTENT_TYPES = ['application/json', 'text/plain'];
+
+// Decoders of the supported Content-Encoding values
+const DECODERS = {
+  identity: null,
+  gzip: promisify(gunzip),
+  deflate: promisify(inflate)
+};
+
+// Default limit of an event batch in bytes, before and after decompression
+const DEFAULT_MAX_BODY_SIZE = 10 * 1024 * 1024;
+
+/**
+ * Error for request bodies over the size limit
+ */
+class BodyTooLargeError extends Error {
+  constructor() {
+    super('Payload too large');
+    this.name = 'BodyTooLargeError';
+  }
+}
+
+/**
+ * Reads a request body, stopping as soon as it exceeds the limit
+ * @param {Request} req
+ * @param {number} limit - Max bytes
+ * @returns {Promise<Buffer>}
+ */
+async function readBody(req, limit) {
+  if (!req.body) return Buffer.alloc(0);
+
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of req.body) {
+    size += chunk.byteLength;
+    if (size > limit) {
+      throw new BodyTooLargeError();
+    }
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks, size);
+}
+
+/**
+ * Decompresses a request body
+ * @param {Buffer} body
+ * @param {string} encoding - Content-Encoding of the body
+ * @param {number} limit - Max bytes after decompression
+ * @returns {Promise<Buffer>}
+ */
+async function decodeBody(body, encoding, limit) {
+  const decode = DECODERS[encoding];
+  if (!decode) return body;
+
+  try {
+    return await decode(body, { maxOutputLength: limit });
+  } catch (error) {
+    // A small body that inflates past the limit is rejected like a large one
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+      throw new BodyTooLargeError();
+    }
+    throw error;
+  }
+}
+
+/**
+ * Reads the optional `page` query parameter
+ * @param {URL} url
+ * @returns {number|undefined|null} Page number, undefined when absent, null when invalid
+ */
+function getPageParam(url) {
+  const value = url.searchParams.get('page');
+  if (value === null) return undefined;
+
+  const page = parseInt(value, 10);
+  return Number.isInteger(page) && page > 0 ? page : null;
+}
+
+/**
+ * Checks that a batch event has the fields the store and redactor rely on
+ * @param {*} event
+ * @returns {boolean}
+ */
+function isValidEvent(event) {
+  return Boolean(event) && typeof event === 'object' && !Array.isArray(event) &&
+    Number.isFinite(event.type) && Number.isFinite(event.timestamp);
+}
+
+/**
+ * Gets the message of an unexpected error for the response. Only files that cannot
+ * be decrypted are explained, so a missing key is found without reading the logs
+ * @param {Error} error
+ * @returns {string}
+ */
+function getErrorMessage(error) {
+  return error instanceof EncryptionError ? error.message : 'Internal server error';
+}
+
+/**
+ * Decodes a user ID taken from the URL path
+ * @param {string} value
+ * @returns {string|null} The user ID, or null when it is empty or malformed
+ */
+function decodeUserId(value) {
+  try {
+    return decodeURIComponent(value || '') || null;
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * Creates webvisor route handlers
  * @param {import('../storage/SessionStore.js').SessionStore} sessionStore
+ * @param {object} [options]
+ * @param {number} [options.maxBodySize] - Max bytes of an event batch, compressed or decompressed
+ * @param {object} [options.redactor] - Redacts personal data before events are stored; see createRedactor
+ * @param {object} [options.receiptSigner] - Signs deletion receipts; see createReceiptSigner
  * @returns {object}
  */
-export function createWebvisorRoutes(sessionStore) {
+export function createWebvisorRoutes(sessionStore, options = {}) {
+  const maxBodySize = options.maxBodySize || DEFAULT_MAX_BODY_SIZE;
+  const redactor = options.redactor || createRedactor();
+  const receiptSigner = options.receiptSigner || createReceiptSigner();
+
   return {
     /**
-     * POST /api/webvisor/events - Receive event batches
+     * POST /api/webvisor/events - Receive event batches, from fetch or sendBeacon,
+     * plain or compressed with gzip or deflate. Personal data is redacted before storing
      * @param {Request} req
      * @returns {Response}
      */
     async postEvents(req) {
       try {
-        const body = await req.json();
-        const { sessionId, events, meta } = body;
+        const contentType = (req.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+
+        if (contentType && !EVENT_CONTENT_TYPES.includes(contentType)) {
+          return new Response(
+            JSON.stringify({ error: 'Unsupported content type' }),
+            {
+              status: 415,
+              headers: { 'Content-Type': 'application/json' }
+            }
+          );
+        }
+
+        const encoding = (req.headers.get('content-encoding') || 'identity').trim().toLowerCase();
 
-        if (!sessionId || !events || !Array.isArray(events)) {
+        if (!(encoding in DECODERS)) {
+          return new Response(
+            JSON.stringify({ error: 'Unsupported content encoding' }),
+            {
+              status: 415,
+              headers: { 'Content-Type': 'application/json' }
+            }
+          );
+        }
+
+        let received;
+        let decoded;
+        try {
+          received = await readBody(req, maxBodySize);
+          decoded = await decodeBody(received, encoding, maxBodySize);
+        } catch (error) {
+          const tooLarge = error instanceof BodyTooLargeError;
+          return new Response(
+            JSON.stringify({ error: tooLarge ? error.message : 'Invalid body encoding' }),
+            {
+              status: tooLarge ? 413 : 400,
+              headers: { 'Content-Type': 'application/json' }
+            }
+          );
+        }
+
+        let body;
+        try {
+          body = JSON.parse(decoded.toString('utf8'));
+        } catch (error) {
+          return new Response(
+            JSON.stringify({ error: 'Invalid JSON' }),
+            {
+              status: 400,
+              headers: { 'Content-Type': 'application/json' }
+            }
+          );
+        }
+
+        const { sessionId, events, meta, page } = body || {};
+
+        if (typeof sessionId !== 'string' || !sessionId || !Array.isArray(events) ||
+          !events.every(isValidEvent)) {
           return new Response(
             JSON.stringify({ error: 'Invalid request body' }),
             {
@@ -30,10 +215,20 @@ export function createWebvisorRoutes(sessionStore) {
           );
         }
 
-        await sessionStore.storeEvents(sessionId, events, meta);
+        // Client masking can be missing from old or custom SDKs, so nothing is stored unredacted
+        const redactions = redactor.redactEvents(events, meta);
+
+        await sessionStore.storeEvents(sessionId, events, meta, page, redactions);
 
         return new Response(
-          JSON.stringify({ success: true, eventsReceived: events.length }),
+          JSON.stringify({
+            success: true,
+            eventsReceived: events.length,
+            // Bytes on the wire and after decompression; equal for plain bodies
+            bytesReceived: received.length,
+            bytesDecoded: decoded.length,
+            redactions
+          }),
           {
             status: 200,
             headers: { 'Content-Type': 'application/json' }
@@ -42,7 +237,7 @@ export function createWebvisorRoutes(sessionStore) {
       } catch (error) {
         console.error('[Webvisor API] Error storing events:', error);
         return new Response(
-          JSON.stringify({ error: 'Internal server error' }),
+          JSON.stringify({ error: getErrorMessage(error) }),
           {
             status: 500,
             headers: { 'Content-Type': 'application/json' }
@@ -62,7 +257,13 @@ export function createWebvisorRoutes(sessionStore) {
         const limit = parseInt(url.searchParams.get('limit') || '50', 10);
         const offset = parseInt(url.searchParams.get('offset') || '0', 10);
 
-        const result = await sessionStore.listSessions({ limit, offset });
+        const result = await sessionStore.listSessions({
+          limit,
+          offset,
+          userId: url.searchParams.get('userId') || undefined,
+          tag: url.searchParams.get('tag') || undefined,
+          event: url.searchParams.get('event') || undefined
+        });
 
         return new Response(
           JSON.stringify(result),
@@ -74,7 +275,7 @@ export function createWebvisorRoutes(sessionStore) {
       } catch (error) {
         console.error('[Webvisor API] Error listing sessions:', error);
         return new Response(
-          JSON.stringify({ error: 'Internal server error' }),
+          JSON.stringify({ error: getErrorMessage(error) }),
           {
             status: 500,
             headers: { 'Content-Type': 'application/json' }
@@ -84,14 +285,58 @@ export function createWebvisorRoutes(sessionStore) {
     },
 
     /**
-     * GET /api/webvisor/sessions/:id - Get session details
+     * GET /api/webvisor/metrics - Per-URL percentiles of performance metrics
+     * @param {Request} req
+     * @returns {Response}
+     */
+    async getMetrics(req) {
+      try {
+        const url = new URL(req.url);
+        const urls = await sessionStore.getMetricPercentiles({
+          url: url.searchParams.get('url') || undefined
+        });
+
+        return new Response(
+          JSON.stringify({ urls }),
+          {
+            status: 200,
+            headers: { 'Content-Type': 'application/json' }
+          }
+        );
+      } catch (error) {
+        console.error('[Webvisor API] Error computing metrics:', error);
+        return new Response(
+          JSON.stringify({ error: getErrorMessage(error) }),
+          {
+            status: 500,
+            headers: { 'Content-Type': 'application/json' }
+          }
+        );
+      }
+    },
+
+    /**
+     * GET /api/webvisor/sessions/:id?page=<n> - Get session details, optionally
+     * only one page load of the session
      * @param {Request} req
      * @param {string} sessionId
      * @returns {Response}
      */
     async getSession(req, sessionId) {
       try {
-        const session = await sessionStore.getSession(sessionId);
+        const page = getPageParam(new URL(req.url));
+
+        if (page === null) {
+          return new Response(
+            JSON.stringify({ error: 'Invalid page' }),
+            {
+              status: 400,
+              headers: { 'Content-Type': 'application/json' }
+            }
+          );
+        }
+
+        const session = await sessionStore.getSession(sessionId, { page });
 
         if (!session) {
           return new Response(
@@ -113,7 +358,144 @@ export function createWebvisorRoutes(sessionStore) {
       } catch (error) {
         console.error('[Webvisor API] Error getting session:', error);
         return new Response(
-          JSON.stringify({ error: 'Internal server error' }),
+          JSON.stringify({ error: getErrorMessage(error) }),
+          {
+            status: 500,
+            headers: { 'Content-Type': 'application/json' }
+          }
+        );
+      }
+    },
+
+    /**
+     * GET /api/webvisor/sessions/:id/seek?t=<ms>&page=<n> - Get the nearest checkpoint
+     * and the events after it, up to t ms from session start (or page start)
+     * @param {Request} req
+     * @param {string} sessionId
+     * @returns {Response}
+     */
+    async seekSession(req, sessionId) {
+      try {
+        const url = new URL(req.url);
+        const offset = parseInt(url.searchParams.get('t') || '0', 10);
+        const page = getPageParam(url);
+
+        if (Number.isNaN(offset) || offset < 0) {
+          return new Response(
+            JSON.stringify({ error: 'Invalid time offset' }),
+            {
+              status: 400,
+              headers: { 'Content-Type': 'application/json' }
+            }
+          );
+        }
+
+        if (page === null) {
+          return new Response(
+            JSON.stringify({ error: 'Invalid page' }),
+            {
+              status: 400,
+              headers: { 'Content-Type': 'application/json' }
+            }
+          );
+        }
+
+        const result = await sessionStore.getSessionAt(sessionId, offset, { page });
+
+        if (!result) {
+          return new Response(
+            JSON.stringify({ error: 'Session not found, or nothing recorded at this time' }),
+            {
+              status: 404,
+              headers: { 'Content-Type': 'application/json' }
+            }
+          );
+        }
+
+        return new Response(
+          JSON.stringify(result),
+          {
+            status: 200,
+            headers: { 'Content-Type': 'application/json' }
+          }
+        );
+      } catch (error) {
+        console.error('[Webvisor API] Error seeking session:', error);
+        return new Response(
+          JSON.stringify({ error: getErrorMessage(error) }),
+          {
+            status: 500,
+            headers: { 'Content-Type': 'application/json' }
+          }
+        );
+      }
+    },
+
+    /**
+     * GET /api/webvisor/sessions/:id/render?t=<ms>&page=<n> - Render the page as it
+     * looked t ms from session start (or page start) as static HTML
+     * @param {Request} req
+     * @param {string} sessionId
+     * @returns {Response}
+     */
+    async renderSession(req, sessionId) {
+      try {
+        const url = new URL(req.url);
+        const offset = parseInt(url.searchParams.get('t') || '0', 10);
+        const page = getPageParam(url);
+
+        if (Number.isNaN(offset) || offset < 0) {
+          return new Response(
+            JSON.stringify({ error: 'Invalid time offset' }),
+            {
+              status: 400,
+              headers: { 'Content-Type': 'application/json' }
+            }
+          );
+        }
+
+        if (page === null) {
+          return new Response(
+            JSON.stringify({ error: 'Invalid page' }),
+            {
+              status: 400,
+              headers: { 'Content-Type': 'application/json' }
+            }
+          );
+        }
+
+        const state = await sessionStore.getSessionAt(sessionId, offset, { page });
+
+        if (!state) {
+          return new Response(
+            JSON.stringify({ error: 'Session not found, or nothing recorded at this time' }),
+            {
+              status: 404,
+              headers: { 'Content-Type': 'application/json' }
+            }
+          );
+        }
+
+        const safeId = sessionId.replace(/[^a-zA-Z0-9_-]/g, '');
+
+        // Recorded markup is untrusted: only the injected scroll script may run
+        const nonce = randomBytes(16).toString('base64');
+
+        return new Response(
+          renderSession(state, { nonce }),
+          {
+            status: 200,
+            headers: {
+              'Content-Type': 'text/html; charset=utf-8',
+              'Content-Security-Policy': `script-src 'nonce-${nonce}'; object-src 'none'`,
+              'Content-Disposition': `inline; filename="${safeId}-${offset}.html"`
+            }
+          }
+        );
+      } catch (error) {
+        console.error('[Webvisor API] Error rendering session:', error);
+        return new Response(
+          JSON.stringify({ error: getErrorMessage(error) }),
           {
             status: 500,
             headers: { 'Content-Type': 'application/json' }
@@ -152,7 +534,138 @@ export function createWebvisorRoutes(sessionStore) {
       } catch (error) {
         console.error('[Webvisor API] Error deleting session:', error);
         return new Response(
-          JSON.stringify({ error: 'Internal server error' }),
+          JSON.stringify({ error: getErrorMessage(error) }),
+          {
+            status: 500,
+            headers: { 'Content-Type': 'application/json' }
+          }
+        );
+      }
+    },
+
+    /**
+     * GET /api/webvisor/users/:id/export - Export every session of a user as NDJSON,
+     * one session per line
+     * @param {Request} req
+     * @param {string} rawUserId - User ID as it appears in the path
+     * @returns {Response}
+     */
+    async exportUser(req, rawUserId) {
+      try {
+        const userId = decodeUserId(rawUserId);
+
+        if (!userId) {
+          return new Response(
+            JSON.stringify({ error: 'Invalid user ID' }),
+            {
+              status: 400,
+              headers: { 'Content-Type': 'application/json' }
+            }
+          );
+        }
+
+        const sessionIds = await sessionStore.findUserSessions(userId);
+
+        if (sessionIds.length === 0) {
+          return new Response(
+            JSON.stringify({ error: 'No sessions found for user' }),
+            {
+              status: 404,
+              headers: { 'Content-Type': 'application/json' }
+            }
+          );
+        }
+
+        // Summaries share the sessions' keys, so one that cannot be decrypted fails the
+        // export before any of it is sent
+        for (const sessionId of sessionIds) {
+          await sessionStore.getSummary(sessionId);
+        }
+
+        // Sessions are read one at a time so large exports are never held in memory
+        const encoder = new TextEncoder();
+        const pending = [...sessionIds];
+        const body = new ReadableStream({
+          async pull(controller) {
+            while (pending.length > 0) {
+              const sessionId = pending.shift();
+              let session;
+              try {
+                session = await sessionStore.getSession(sessionId);
+              } catch (error) {
+                // The 200 is already sent; a last record tells the client the export is incomplete
+                console.error('[Webvisor API] Error exporting user session:', error);
+                const record = { error: getErrorMessage(error), sessionId, incomplete: true };
+                controller.enqueue(encoder.encode(`${JSON.stringify(record)}\n`));
+                controller.close();
+                return;
+              }
+
+              // Sessions deleted since the lookup are skipped
+              if (session) {
+                controller.enqueue(encoder.encode(`${JSON.stringify(session)}\n`));
+                return;
+              }
+            }
+            controller.close();
+          }
+        });
+
+        return new Response(body, {
+          status: 200,
+          headers: {
+            'Content-Type': 'application/x-ndjson; charset=utf-8',
+            'Content-Disposition': 'attachment; filename="webvisor-user-export.ndjson"'
+          }
+        });
+      } catch (error) {
+        console.error('[Webvisor API] Error exporting user:', error);
+        return new Response(
+          JSON.stringify({ error: getErrorMessage(error) }),
+          {
+            status: 500,
+            headers: { 'Content-Type': 'application/json' }
+          }
+        );
+      }
+    },
+
+    /**
+     * DELETE /api/webvisor/users/:id - Delete every session of a user and return
+     * a signed deletion receipt
+     * @param {Request} req
+     * @param {string} rawUserId - User ID as it appears in the path
+     * @returns {Response}
+     */
+    async deleteUser(req, rawUserId) {
+      try {
+        const userId = decodeUserId(rawUserId);
+
+        if (!userId) {
+          return new Response(
+            JSON.stringify({ error: 'Invalid user ID' }),
+            {
+              status: 400,
+              headers: { 'Content-Type': 'application/json' }
+            }
+          );
+        }
+
+        // A user with no stored sessions still gets a receipt, listing none
+        const sessionIds = await sessionStore.deleteUserSessions(userId);
+        const { receipt, signature } = receiptSigner.sign(userId, sessionIds);
+
+        return new Response(
+          JSON.stringify({ success: true, receipt, signature }),
+          {
+            status: 200,
+            headers: { 'Content-Type': 'application/json' }
+          }
+        );
+      } catch (error) {
+        console.error('[Webvisor API] Error deleting user:', error);
+        return new Response(
+          JSON.stringify({ error: getErrorMessage(error) }),
           {
             status: 500,
             headers: { 'Content-Type': 'application/json' }
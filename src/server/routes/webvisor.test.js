@@ -0,0 +1,211 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { deflateSync, gzipSync } from 'node:zlib';
+
+import { EventType } from '../../shared/constants.js';
+import { SessionStore } from '../storage/SessionStore.js';
+import { createWebvisorRoutes } from './webvisor.js';
+
+const BASE_URL = 'http://localhost/api/webvisor';
+
+describe('createWebvisorRoutes', () => {
+  let storagePath;
+  let store;
+  let routes;
+
+  beforeEach(async () => {
+    storagePath = await mkdtemp(join(tmpdir(), 'webvisor-routes-'));
+    store = new SessionStore({ storagePath });
+    routes = createWebvisorRoutes(store);
+  });
+
+  afterEach(async () => {
+    store.close();
+    await rm(storagePath, { recursive: true, force: true });
+  });
+
+  describe('postEvents', () => {
+    const batch = JSON.stringify({
+      sessionId: 'wv_a',
+      page: 1,
+      events: [{ type: EventType.CUSTOM, timestamp: 1000, data: { name: 'signup' } }],
+      meta: {}
+    });
+
+    /**
+     * Posts a batch body to the route
+     * @param {string|Buffer} body
+     * @param {object} [headers]
+     * @returns {Promise<Response>}
+     */
+    function post(body, headers = {}) {
+      return routes.postEvents(new Request(`${BASE_URL}/events`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body
+      }));
+    }
+
+    it('stores plain, gzip and deflate batches and reports both byte counts', async () => {
+      const bodies = [
+        [batch, {}],
+        [gzipSync(batch), { 'Content-Encoding': 'gzip' }],
+        [deflateSync(batch), { 'Content-Encoding': 'deflate' }]
+      ];
+
+      for (const [body, headers] of bodies) {
+        const response = await post(body, headers);
+        const result = await response.json();
+
+        assert.equal(response.status, 200);
+        assert.equal(result.eventsReceived, 1);
+        assert.equal(result.bytesReceived, Buffer.byteLength(body));
+        assert.equal(result.bytesDecoded, Buffer.byteLength(batch));
+      }
+
+      assert.equal((await store.getSession('wv_a')).events.length, 3);
+    });
+
+    it('accepts the text/plain batches of sendBeacon', async () => {
+      const response = await post(batch, { 'Content-Type': 'text/plain;charset=UTF-8' });
+      assert.equal(response.status, 200);
+    });
+
+    it('answers 413 to bodies over the limit, compressed or decompressed', async () => {
+      const limited = createWebvisorRoutes(store, { maxBodySize: 1024 });
+      const postLimited = (body, headers) => limited.postEvents(new Request(`${BASE_URL}/events`, { method: 'POST', headers, body }));
+      const large = JSON.stringify({ sessionId: 'wv_a', events: [], padding: 'x'.repeat(4096) });
+
+      const plain = await postLimited(large, { 'Content-Type': 'application/json' });
+      assert.equal(plain.status, 413);
+
+      // Well under the limit on the wire, over it once inflated
+      const compressed = gzipSync(large);
+      assert.ok(compressed.length < 1024);
+      assert.equal((await postLimited(compressed, { 'Content-Type': 'application/json', 'Content-Encoding': 'gzip' })).status, 413);
+      assert.equal(await store.getSession('wv_a'), null);
+    });
+
+    it('answers 415 to unsupported content types and encodings', async () => {
+      assert.equal((await post(batch, { 'Content-Type': 'application/xml' })).status, 415);
+      assert.equal((await post(batch, { 'Content-Encoding': 'br' })).status, 415);
+    });
+
+    it('answers 400 to bodies that are not valid batches', async () => {
+      const invalidBatches = [
+        'not json',
+        JSON.stringify({ sessionId: '', events: [] }),
+        JSON.stringify({ sessionId: 'wv_a', events: {} }),
+        JSON.stringify({ sessionId: 'wv_a', events: [null] }),
+        JSON.stringify({ sessionId: 'wv_a', events: [[]] }),
+        JSON.stringify({ sessionId: 'wv_a', events: [{ type: '1', timestamp: 1000 }] }),
+        JSON.stringify({ sessionId: 'wv_a', events: [{ type: 1 }] })
+      ];
+
+      for (const body of invalidBatches) {
+        assert.equal((await post(body)).status, 400, body);
+      }
+      assert.equal((await post(Buffer.from('not gzip'), { 'Content-Encoding': 'gzip' })).status, 400);
+      assert.equal(await store.getSession('wv_a'), null);
+    });
+  });
+
+  describe('getSession', () => {
+    /**
+     * Requests wv_a with a query string
+     * @param {string} query
+     * @returns {Promise<Response>}
+     */
+    function getSession(query) {
+      return routes.getSession(new Request(`${BASE_URL}/sessions/wv_a?${query}`), 'wv_a');
+    }
+
+    beforeEach(async () => {
+      await store.storeEvents('wv_a', [{ type: EventType.CUSTOM, timestamp: 1000, data: { name: 'a' } }], {}, 1);
+      await store.storeEvents('wv_a', [{ type: EventType.CUSTOM, timestamp: 2000, data: { name: 'b' } }], {}, 2);
+    });
+
+    it('returns every page, or only the requested one', async () => {
+      const all = await (await getSession('')).json();
+      const second = await (await getSession('page=2')).json();
+
+      assert.equal(all.events.length, 2);
+      assert.deepEqual(second.events.map(event => event.data.name), ['b']);
+      assert.deepEqual(second.pages.map(entry => entry.page), [1, 2]);
+    });
+
+    it('rejects invalid pages and answers 404 for unknown ones', async () => {
+      assert.equal((await getSession('page=0')).status, 400);
+      assert.equal((await getSession('page=two')).status, 400);
+      assert.equal((await getSession('page=3')).status, 404);
+    });
+  });
+
+  describe('seekSession', () => {
+    /**
+     * Requests the state of wv_a at a query string
+     * @param {string} query
+     * @returns {Promise<Response>}
+     */
+    function seek(query) {
+      return routes.seekSession(new Request(`${BASE_URL}/sessions/wv_a/seek?${query}`), 'wv_a');
+    }
+
+    beforeEach(async () => {
+      await store.storeEvents('wv_a', [
+        { type: EventType.DOM_SNAPSHOT, timestamp: 1000, data: {} },
+        { type: EventType.CUSTOM, timestamp: 1500, data: { name: 'step' } },
+        { type: EventType.DOM_SNAPSHOT, timestamp: 3000, data: { checkpoint: 'interval' } },
+        { type: EventType.CUSTOM, timestamp: 3500, data: { name: 'step' } }
+      ]);
+    });
+
+    it('returns the nearest checkpoint and the events after it', async () => {
+      const response = await seek('t=2800');
+      const result = await response.json();
+
+      assert.equal(response.status, 200);
+      assert.equal(result.checkpoint.timestamp, 3000);
+      assert.deepEqual(result.events.map(event => event.timestamp), [3500]);
+    });
+
+    it('rejects invalid times and pages', async () => {
+      assert.equal((await seek('t=-5')).status, 400);
+      assert.equal((await seek('t=abc')).status, 400);
+      assert.equal((await seek('t=0&page=0')).status, 400);
+    });
+
+    it('answers 404 for unknown sessions and pages', async () => {
+      const response = await routes.seekSession(new Request(`${BASE_URL}/sessions/wv_b/seek?t=0`), 'wv_b');
+
+      assert.equal(response.status, 404);
+      assert.equal((await seek('t=0&page=2')).status, 404);
+    });
+  });
+
+  describe('renderSession', () => {
+    it('allows only the scroll script, through a nonce of its own', async () => {
+      await store.storeEvents('wv_a', [{
+        type: EventType.DOM_SNAPSHOT,
+        timestamp: 1000,
+        data: {
+          scroll: { x: 0, y: 200 },
+          html: { type: 1, id: 1, name: 'HTML', attrs: {}, children: [{ type: 1, id: 2, name: 'HEAD', attrs: {}, children: [] }] }
+        }
+      }]);
+
+      const render = () => routes.renderSession(new Request(`${BASE_URL}/sessions/wv_a/render?t=0`), 'wv_a');
+      const response = await render();
+      const html = await response.text();
+      const [, nonce] = response.headers.get('Content-Security-Policy').match(/^script-src 'nonce-([^']+)'; object-src 'none'$/);
+
+      assert.equal(response.status, 200);
+      assert.equal(response.headers.get('Content-Type'), 'text/html; charset=utf-8');
+      assert.ok(html.includes(`<script nonce="${nonce}">`));
+      assert.notEqual((await render()).headers.get('Content-Security-Policy'), response.headers.get('Content-Security-Policy'));
+    });
+  });
+});
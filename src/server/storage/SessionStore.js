@@ -7,6 +7,200 @@
 import { mkdir, readFile, writeFile, readdir, unlink, stat } from 'node:fs/promises';
 import { join } from 'node:path';
 import { existsSync } from 'node:fs';
+import { createHash } from 'node:crypto';
+
+import { EventType } from '../../shared/constants.js';
+import { EncryptionError, encodeFile, decodeFile } from './encryption.js';
+
+/**
+ * Builds the index of full snapshots that playback can start from
+ * @param {object[]} events - Session events sorted by timestamp
+ * @returns {{index: number, timestamp: number}[]}
+ */
+function buildCheckpointIndex(events) {
+  const checkpoints = [];
+
+  events.forEach((event, index) => {
+    if (event.type === EventType.DOM_SNAPSHOT) {
+      checkpoints.push({ index, timestamp: event.timestamp });
+    }
+  });
+
+  return checkpoints;
+}
+
+/**
+ * Builds the index of page loads recorded in a session
+ * @param {object[]} events - Session events sorted by timestamp
+ * @returns {{page: number, url: string|null, startedAt: number, endedAt: number, eventCount: number}[]}
+ */
+function buildPageIndex(events) {
+  const pages = new Map();
+
+  for (const event of events) {
+    // Sessions recorded before page numbers existed are one page
+    const page = event.page ?? 1;
+
+    let entry = pages.get(page);
+    if (!entry) {
+      entry = { page, url: null, startedAt: event.timestamp, endedAt: event.timestamp, eventCount: 0 };
+      pages.set(page, entry);
+    }
+
+    entry.eventCount++;
+    entry.startedAt = Math.min(entry.startedAt, event.timestamp);
+    entry.endedAt = Math.max(entry.endedAt, event.timestamp);
+
+    if (event.type === EventType.SESSION_START && !entry.url) {
+      entry.url = event.data?.url || null;
+    }
+  }
+
+  return [...pages.values()].sort((a, b) => a.page - b.page);
+}
+
+/**
+ * Checks if an event reports a JavaScript error
+ * @param {object} event
+ * @returns {boolean}
+ */
+function isErrorEvent(event) {
+  return event.type === EventType.ERROR ||
+    (event.type === EventType.CONSOLE && event.data?.level === 'error');
+}
+
+/**
+ * Groups page URLs for metric percentiles by dropping the query and hash
+ * @param {string} url
+ * @returns {string}
+ */
+function normalizeMetricUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.origin}${parsed.pathname}`;
+  } catch (error) {
+    return String(url || '');
+  }
+}
+
+/**
+ * Gets a percentile of sorted values using the nearest-rank method
+ * @param {number[]} sorted
+ * @param {number} percentile - 0-100
+ * @returns {number}
+ */
+function getPercentile(sorted, percentile) {
+  const rank = Math.ceil((percentile / 100) * sorted.length);
+  return sorted[Math.max(0, rank - 1)];
+}
+
+/**
+ * Collects the user identities named in a batch
+ * @param {object[]} events
+ * @param {object} meta - Batch meta
+ * @param {string|null} metaField - Meta field holding a user ID, if any
+ * @returns {Set<string>}
+ */
+function collectUserIds(events, meta, metaField) {
+  const userIds = new Set();
+
+  for (const event of events) {
+    if (event.type === EventType.IDENTIFY && event.data?.userId) {
+      userIds.add(String(event.data.userId));
+    }
+  }
+
+  const metaValue = metaField ? meta?.[metaField] : null;
+  if (metaValue !== null && metaValue !== undefined && metaValue !== '') {
+    userIds.add(String(metaValue));
+  }
+
+  return userIds;
+}
+
+/**
+ * Builds the per-session summary shown in session lists
+ * @param {object} session
+ * @param {object[]} session.events
+ * @param {Object<string, number>} [session.redactions] - Redactions made on ingest, by kind
+ * @param {string[]} [session.userIds] - Every identity the session was recorded under
+ * @returns {object}
+ */
+function buildSummary({ events, redactions = {}, userIds = [] }) {
+  const errorCount = events.filter(isErrorEvent).length;
+
+  // Web Vitals kept for per-URL percentiles. CLS and INP are reported again each time
+  // the page is hidden; the latest report of a route replaces the earlier ones
+  const latestMetrics = new Map();
+  for (const event of events) {
+    if (event.type !== EventType.PERFORMANCE_METRIC || !Number.isFinite(event.data?.value)) continue;
+
+    const { name, value, url, navigationId } = event.data;
+    latestMetrics.set(`${event.page ?? 1}:${navigationId}:${name}`, {
+      name,
+      value,
+      url: normalizeMetricUrl(url)
+    });
+  }
+  const metrics = [...latestMetrics.values()];
+
+  // Identity, tags and custom event names set through the client API
+  let userId = null;
+  const tags = {};
+  const customEvents = new Set();
+
+  for (const event of events) {
+    if (event.type === EventType.IDENTIFY && event.data?.userId) {
+      userId = String(event.data.userId);
+    } else if (event.type === EventType.TAG && event.data?.key) {
+      tags[event.data.key] = String(event.data.value);
+    } else if (event.type === EventType.CUSTOM && event.data?.name) {
+      customEvents.add(String(event.data.name));
+    }
+  }
+
+  return {
+    pageCount: new Set(events.map(event => event.page ?? 1)).size,
+    hasErrors: errorCount > 0,
+    errorCount,
+    userId,
+    tags,
+    customEvents: [...customEvents],
+    metrics,
+    redactions,
+    userIds
+  };
+}
+
+/**
+ * Checks a session summary against list filters
+ * @param {object} summary
+ * @param {object} filters
+ * @param {string} [filters.userId]
+ * @param {string} [filters.tag] - `key` or `key:value`
+ * @param {string} [filters.event] - Custom event name
+ * @returns {boolean}
+ */
+function matchesFilters(summary, filters) {
+  if (filters.userId && summary.userId !== filters.userId) {
+    return false;
+  }
+
+  if (filters.tag) {
+    const separator = filters.tag.indexOf(':');
+    const key = separator === -1 ? filters.tag : filters.tag.slice(0, separator);
+    const tags = summary.tags || {};
+
+    if (!(key in tags)) return false;
+    if (separator !== -1 && tags[key] !== filters.tag.slice(separator + 1)) return false;
+  }
+
+  if (filters.event && !(summary.customEvents || []).includes(filters.event)) {
+    return false;
+  }
+
+  return true;
+}
 
 /**
  * SessionStore class - Manages session data persistence
@@ -16,10 +210,17 @@ export class SessionStore {
    * @param {object} options
    * @param {string} options.storagePath - Path to store session files
    * @param {number} options.retentionDays - Days to retain sessions
+   * @param {string} [options.userIdMetaField] - Batch meta field that holds a user ID, besides identify()
+   * @param {import('./encryption.js').KeyRing} [options.keyRing] - Encrypts stored files when given
    */
   constructor(options = {}) {
     this.storagePath = options.storagePath || './data/sessions';
+    this.summaryPath = join(this.storagePath, 'summaries');
+    this.userPath = join(this.storagePath, 'users');
     this.retentionDays = options.retentionDays || 15;
+    this.userIdMetaField = options.userIdMetaField || null;
+    this.keyRing = options.keyRing || null;
+    this.fileUpdates = new Map();
     this.initialized = false;
   }
 
@@ -32,7 +233,15 @@ export class SessionStore {
     if (!existsSync(this.storagePath)) {
       await mkdir(this.storagePath, { recursive: true });
     }
+    if (!existsSync(this.summaryPath)) {
+      await mkdir(this.summaryPath, { recursive: true });
+    }
+    if (!existsSync(this.userPath)) {
+      await mkdir(this.userPath, { recursive: true });
+    }
 
+    // Concurrent first calls all get here; only one starts the cleanup timer
+    if (this.initialized) return;
     this.initialized = true;
 
     // Start cleanup interval (run every hour)
@@ -41,6 +250,50 @@ export class SessionStore {
         console.error('[SessionStore] Cleanup error:', err);
       });
     }, 60 * 60 * 1000);
+
+    this.userIndexReady = this.backfillUserIndex();
+  }
+
+  /**
+   * Adds sessions stored before the user index existed to it. Runs once per
+   * storage directory; a marker file records that it has
+   */
+  async backfillUserIndex() {
+    const markerPath = join(this.userPath, '.backfilled');
+    if (existsSync(markerPath)) return;
+
+    try {
+      const files = await readdir(this.storagePath);
+      let skipped = 0;
+
+      for (const file of files) {
+        if (!file.endsWith('.json')) continue;
+
+        const sessionId = file.replace('.json', '');
+        let summary;
+        try {
+          summary = await this.getSummary(sessionId);
+        } catch (error) {
+          // Sessions whose key is lost cannot be indexed, nor replayed or exported
+          skipped++;
+          continue;
+        }
+
+        const userIds = new Set(summary.userIds);
+        if (summary.userId) userIds.add(summary.userId);
+        for (const userId of userIds) {
+          await this.updateUserIndex(userId, ids => ids.add(sessionId));
+        }
+      }
+
+      if (skipped > 0) {
+        console.warn(`[SessionStore] ${skipped} sessions could not be read and were left out of the user index`);
+      }
+      await writeFile(markerPath, '');
+    } catch (error) {
+      // Tried again on the next start
+      console.error('[SessionStore] User index backfill error:', error);
+    }
   }
 
   /**
@@ -55,53 +308,326 @@ export class SessionStore {
   }
 
   /**
-   * Stores events for a session
+   * Gets the file path for a session's summary
+   * @param {string} sessionId
+   * @returns {string}
+   */
+  getSummaryPath(sessionId) {
+    const safeId = sessionId.replace(/[^a-zA-Z0-9_-]/g, '');
+    return join(this.summaryPath, `${safeId}.json`);
+  }
+
+  /**
+   * Reads a stored JSON file, decrypting it when it is encrypted
+   * @param {string} filePath
+   * @returns {Promise<*>}
+   */
+  async readJSON(filePath) {
+    return JSON.parse(decodeFile(await readFile(filePath), this.keyRing));
+  }
+
+  /**
+   * Writes a stored JSON file, encrypted when a key ring is configured
+   * @param {string} filePath
+   * @param {*} value
+   */
+  async writeJSON(filePath, value) {
+    await writeFile(filePath, encodeFile(JSON.stringify(value), this.keyRing));
+  }
+
+  /**
+   * Gets a session's summary, building it for sessions stored before summaries existed
+   * @param {string} sessionId
+   * @returns {object}
+   */
+  async getSummary(sessionId) {
+    try {
+      return await this.readJSON(this.getSummaryPath(sessionId));
+    } catch (error) {
+      if (error instanceof EncryptionError) throw error;
+
+      const session = await this.getSession(sessionId);
+      const summary = buildSummary(session || { events: [] });
+
+      if (session) {
+        await this.writeJSON(this.getSummaryPath(sessionId), summary);
+      }
+      return summary;
+    }
+  }
+
+  /**
+   * Runs a read-modify-write of a file after the ones already queued for it, so
+   * concurrent updates cannot overwrite each other
+   * @param {string} filePath
+   * @param {Function} task - Async function doing the update
+   * @returns {Promise<*>} Result of the task
+   */
+  updateFile(filePath, task) {
+    const previous = this.fileUpdates.get(filePath) || Promise.resolve();
+    const next = previous.then(task);
+
+    const settled = next.catch(() => {});
+    this.fileUpdates.set(filePath, settled);
+    settled.then(() => {
+      if (this.fileUpdates.get(filePath) === settled) {
+        this.fileUpdates.delete(filePath);
+      }
+    });
+
+    return next;
+  }
+
+  /**
+   * Stores events for a session. Batches for the same session are stored one at a
+   * time, since beacons and tabs sharing the session send them in parallel
    * @param {string} sessionId
    * @param {object[]} events
    * @param {object} meta
+   * @param {number} [page] - Page load the events were recorded on, for sessions spanning several
+   * @param {Object<string, number>} [redactions] - Redactions made in this batch, by kind
    */
-  async storeEvents(sessionId, events, meta = {}) {
+  async storeEvents(sessionId, events, meta = {}, page, redactions = {}) {
     await this.init();
 
+    if (Number.isInteger(page) && page > 0) {
+      events.forEach(event => {
+        event.page = page;
+      });
+    }
+
     const filePath = this.getSessionPath(sessionId);
+    return this.updateFile(filePath, () =>
+      this.appendEvents(filePath, sessionId, events, meta, redactions)
+    );
+  }
+
+  /**
+   * Adds a batch to a session file; run through updateFile
+   * @param {string} filePath
+   * @param {string} sessionId
+   * @param {object[]} events
+   * @param {object} meta
+   * @param {Object<string, number>} redactions
+   * @returns {Promise<object>} The updated session
+   */
+  async appendEvents(filePath, sessionId, events, meta, redactions) {
     let session;
 
     try {
-      const existing = await readFile(filePath, 'utf-8');
-      session = JSON.parse(existing);
-      session.events.push(...events);
+      session = await this.readJSON(filePath);
       session.updatedAt = Date.now();
     } catch (error) {
+      // A session that cannot be decrypted must not be replaced by a new one
+      if (error instanceof EncryptionError) throw error;
+
       // New session
       session = {
         sessionId,
         meta,
-        events,
+        events: [],
+        checkpoints: [],
         createdAt: Date.now(),
         updatedAt: Date.now()
       };
     }
 
-    await writeFile(filePath, JSON.stringify(session), 'utf-8');
+    const lastTimestamp = session.events.length > 0
+      ? session.events[session.events.length - 1].timestamp
+      : -Infinity;
+    const firstNew = session.events.length;
+
+    session.events.push(...events);
+
+    // Retried batches can arrive late; keep events ordered so offsets stay valid
+    if (events.length > 0 && events[0].timestamp < lastTimestamp) {
+      session.events.sort((a, b) => a.timestamp - b.timestamp);
+      session.checkpoints = buildCheckpointIndex(session.events);
+    } else {
+      session.checkpoints ??= buildCheckpointIndex(session.events.slice(0, firstNew));
+      events.forEach((event, i) => {
+        if (event.type === EventType.DOM_SNAPSHOT) {
+          session.checkpoints.push({ index: firstNew + i, timestamp: event.timestamp });
+        }
+      });
+    }
+
+    // Running totals; the redacted values themselves are never stored
+    session.redactions ??= {};
+    for (const [kind, count] of Object.entries(redactions)) {
+      session.redactions[kind] = (session.redactions[kind] || 0) + count;
+    }
+
+    // Identities seen for the first time in this session are added to the user index
+    session.userIds ??= [];
+    const newUserIds = [...collectUserIds(events, meta, this.userIdMetaField)]
+      .filter(userId => !session.userIds.includes(userId));
+    session.userIds.push(...newUserIds);
+
+    // Summaries live in their own small files so listing does not read every session
+    session.summary = buildSummary(session);
+    session.pages = buildPageIndex(session.events);
+
+    await this.writeJSON(filePath, session);
+    await this.writeJSON(this.getSummaryPath(sessionId), session.summary);
+
+    for (const userId of newUserIds) {
+      await this.updateUserIndex(userId, sessionIds => sessionIds.add(sessionId));
+    }
     return session;
   }
 
+  /**
+   * Gets the file path for a user's entry in the user index. User IDs are hashed,
+   * since they can be emails or other personal data; entries hold session IDs only
+   * @param {string} userId
+   * @returns {string}
+   */
+  getUserIndexPath(userId) {
+    const hash = createHash('sha256').update(String(userId)).digest('hex');
+    return join(this.userPath, `${hash}.json`);
+  }
+
+  /**
+   * Changes the session IDs indexed for a user. Updates for the same user run one
+   * at a time, so concurrent batches cannot drop each other's sessions
+   * @param {string} userId
+   * @param {Function} update - Called with the Set of session IDs to change in place
+   * @returns {Promise<void>}
+   */
+  updateUserIndex(userId, update) {
+    const indexPath = this.getUserIndexPath(userId);
+
+    return this.updateFile(indexPath, async () => {
+      let sessionIds = [];
+      try {
+        ({ sessionIds } = await this.readJSON(indexPath));
+      } catch (error) {
+        if (error instanceof EncryptionError) throw error;
+        // First session of this user
+      }
+
+      const ids = new Set(sessionIds);
+      update(ids);
+
+      if (ids.size > 0) {
+        await this.writeJSON(indexPath, { sessionIds: [...ids] });
+      } else {
+        await unlink(indexPath).catch(() => {});
+      }
+    });
+  }
+
+  /**
+   * Finds every stored session recorded under a user ID
+   * @param {string} userId
+   * @returns {Promise<string[]>} Session IDs
+   */
+  async findUserSessions(userId) {
+    await this.init();
+    await this.userIndexReady;
+
+    let sessionIds = [];
+    try {
+      ({ sessionIds } = await this.readJSON(this.getUserIndexPath(userId)));
+    } catch (error) {
+      if (error instanceof EncryptionError) throw error;
+      // No indexed sessions
+    }
+
+    return sessionIds.filter(sessionId => existsSync(this.getSessionPath(sessionId)));
+  }
+
+  /**
+   * Deletes every session of a user and the user's index entry
+   * @param {string} userId
+   * @returns {Promise<string[]>} IDs of the deleted sessions
+   */
+  async deleteUserSessions(userId) {
+    const sessionIds = await this.findUserSessions(userId);
+    const deleted = [];
+
+    for (const sessionId of sessionIds) {
+      if (await this.deleteSession(sessionId)) {
+        deleted.push(sessionId);
+      }
+    }
+
+    await this.updateUserIndex(userId, ids => ids.clear());
+    return deleted;
+  }
+
   /**
    * Retrieves a session by ID
    * @param {string} sessionId
+   * @param {object} [options]
+   * @param {number} [options.page] - Only return the events of this page load
    * @returns {object|null}
    */
-  async getSession(sessionId) {
+  async getSession(sessionId, options = {}) {
     await this.init();
 
     const filePath = this.getSessionPath(sessionId);
 
+    let session;
     try {
-      const data = await readFile(filePath, 'utf-8');
-      return JSON.parse(data);
+      session = await this.readJSON(filePath);
     } catch (error) {
+      // Sessions that exist but cannot be decrypted fail instead of looking deleted
+      if (error instanceof EncryptionError) throw error;
       return null;
     }
+
+    session.pages ??= buildPageIndex(session.events);
+
+    if (options.page !== undefined) {
+      if (!session.pages.some(entry => entry.page === options.page)) return null;
+
+      session.events = session.events.filter(event => (event.page ?? 1) === options.page);
+      session.checkpoints = buildCheckpointIndex(session.events);
+    }
+
+    return session;
+  }
+
+  /**
+   * Gets the events needed to show a session at a point in time:
+   * the nearest checkpoint at or before it and the events that follow
+   * @param {string} sessionId
+   * @param {number} offset - Ms from session start, or from the start of the page
+   * @param {object} [options]
+   * @param {number} [options.page] - Only use the events of this page load
+   * @returns {object|null}
+   */
+  async getSessionAt(sessionId, offset, options = {}) {
+    const session = await this.getSession(sessionId, options);
+    if (!session || session.events.length === 0) return null;
+
+    const checkpoints = session.checkpoints ?? buildCheckpointIndex(session.events);
+    const timestamp = session.events[0].timestamp + offset;
+
+    // Nothing can be rebuilt before the first snapshot
+    let checkpoint = null;
+    for (const candidate of checkpoints) {
+      if (candidate.timestamp > timestamp) break;
+      checkpoint = candidate;
+    }
+
+    if (!checkpoint) return null;
+
+    const events = [];
+    for (let i = checkpoint.index + 1; i < session.events.length; i++) {
+      if (session.events[i].timestamp > timestamp) break;
+      events.push(session.events[i]);
+    }
+
+    return {
+      sessionId,
+      meta: session.meta,
+      timestamp,
+      checkpoint: session.events[checkpoint.index],
+      events
+    };
   }
 
   /**
@@ -109,12 +635,17 @@ export class SessionStore {
    * @param {object} options
    * @param {number} options.limit
    * @param {number} options.offset
+   * @param {string} [options.userId] - Only sessions identified as this user
+   * @param {string} [options.tag] - Only sessions with this tag, as `key` or `key:value`
+   * @param {string} [options.event] - Only sessions with this custom event
    * @returns {object}
    */
   async listSessions(options = {}) {
     await this.init();
 
-    const { limit = 50, offset = 0 } = options;
+    const { limit = 50, offset = 0, userId, tag, event } = options;
+    const filters = { userId, tag, event };
+    const isFiltered = Boolean(userId || tag || event);
 
     try {
       const files = await readdir(this.storagePath);
@@ -136,34 +667,113 @@ export class SessionStore {
       // Sort by updatedAt descending
       sessions.sort((a, b) => b.updatedAt - a.updatedAt);
 
-      const paginated = sessions.slice(offset, offset + limit);
+      const withSummary = async (session) => {
+        const { metrics, ...summary } = await this.getSummary(session.sessionId);
+        return { ...session, pageCount: 1, ...summary };
+      };
+
+      // Filters need every summary; unfiltered lists only read the requested page
+      let matching = sessions;
+      if (isFiltered) {
+        matching = (await Promise.all(sessions.map(withSummary)))
+          .filter(session => matchesFilters(session, filters));
+      }
+
+      const paginated = isFiltered
+        ? matching.slice(offset, offset + limit)
+        : await Promise.all(matching.slice(offset, offset + limit).map(withSummary));
 
       return {
         sessions: paginated,
-        total: sessions.length,
+        total: matching.length,
         limit,
         offset
       };
     } catch (error) {
+      if (error instanceof EncryptionError) throw error;
+
       console.error('[SessionStore] List error:', error);
       return { sessions: [], total: 0, limit, offset };
     }
   }
 
+  /**
+   * Computes p50, p75 and p95 of each performance metric per page URL
+   * @param {object} options
+   * @param {string} [options.url] - Only report this URL (query and hash are ignored)
+   * @returns {object[]} Entries of `{url, metrics: {[name]: {count, p50, p75, p95}}}`
+   */
+  async getMetricPercentiles(options = {}) {
+    await this.init();
+
+    const files = await readdir(this.storagePath);
+    const filterUrl = options.url ? normalizeMetricUrl(options.url) : null;
+
+    /** @type {Map<string, Map<string, number[]>>} */
+    const byUrl = new Map();
+
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue;
+
+      const { metrics = [] } = await this.getSummary(file.replace('.json', ''));
+      for (const { name, value, url } of metrics) {
+        if (filterUrl && url !== filterUrl) continue;
+
+        if (!byUrl.has(url)) byUrl.set(url, new Map());
+        const values = byUrl.get(url);
+        if (!values.has(name)) values.set(name, []);
+        values.get(name).push(value);
+      }
+    }
+
+    const result = [];
+    for (const [url, values] of byUrl) {
+      const metrics = {};
+      for (const [name, list] of values) {
+        const sorted = list.sort((a, b) => a - b);
+        metrics[name] = {
+          count: sorted.length,
+          p50: getPercentile(sorted, 50),
+          p75: getPercentile(sorted, 75),
+          p95: getPercentile(sorted, 95)
+        };
+      }
+      result.push({ url, metrics });
+    }
+
+    return result.sort((a, b) => a.url.localeCompare(b.url));
+  }
+
   /**
    * Deletes a session
    * @param {string} sessionId
    * @returns {boolean}
    */
   async deleteSession(sessionId) {
+    await this.init();
+
     const filePath = this.getSessionPath(sessionId);
 
-    try {
-      await unlink(filePath);
+    // Queued behind batches still being stored, which would otherwise recreate the file
+    return this.updateFile(filePath, async () => {
+      if (!existsSync(filePath)) return false;
+
+      // The summary names the users whose index entries point at this session. Sessions
+      // whose key is lost can still be deleted; their index entries point at nothing
+      const { userIds = [] } = await this.getSummary(sessionId).catch(() => ({}));
+
+      try {
+        await unlink(filePath);
+        await unlink(this.getSummaryPath(sessionId)).catch(() => {});
+      } catch (error) {
+        return false;
+      }
+
+      for (const userId of userIds) {
+        await this.updateUserIndex(userId, ids => ids.delete(sessionId));
+      }
       return true;
-    } catch (error) {
-      return false;
-    }
+    });
   }
 
   /**
@@ -184,8 +794,8 @@ export class SessionStore {
         const filePath = join(this.storagePath, file);
         const fileStat = await stat(filePath);
 
-        if (fileStat.mtime.getTime() < cutoff) {
-          await unlink(filePath);
+        if (fileStat.mtime.getTime() < cutoff &&
+            await this.deleteSession(file.replace('.json', ''))) {
           deleted++;
         }
       }
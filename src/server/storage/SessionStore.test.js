@@ -0,0 +1,364 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomBytes } from 'node:crypto';
+import { mkdtemp, readFile, readdir, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { EventType } from '../../shared/constants.js';
+import { createReceiptSigner } from '../erasure/receipts.js';
+import { createWebvisorRoutes } from '../routes/webvisor.js';
+import { EncryptionError, KeyRing } from './encryption.js';
+import { SessionStore } from './SessionStore.js';
+
+/**
+ * Builds an IDENTIFY event
+ * @param {string} userId
+ * @param {number} timestamp
+ * @returns {object}
+ */
+function identify(userId, timestamp) {
+  return { type: EventType.IDENTIFY, timestamp, data: { userId } };
+}
+
+/**
+ * Builds a DOM_SNAPSHOT event
+ * @param {number} timestamp
+ * @param {string} [checkpoint] - Why the checkpoint was taken
+ * @returns {object}
+ */
+function snapshot(timestamp, checkpoint) {
+  return { type: EventType.DOM_SNAPSHOT, timestamp, data: checkpoint ? { checkpoint } : {} };
+}
+
+/**
+ * Builds a CUSTOM event
+ * @param {number} timestamp
+ * @returns {object}
+ */
+function custom(timestamp) {
+  return { type: EventType.CUSTOM, timestamp, data: { name: 'step' } };
+}
+
+describe('SessionStore', () => {
+  let storagePath;
+  let store;
+
+  beforeEach(async () => {
+    storagePath = await mkdtemp(join(tmpdir(), 'webvisor-store-'));
+    store = new SessionStore({ storagePath, userIdMetaField: 'account' });
+  });
+
+  afterEach(async () => {
+    store.close();
+    await rm(storagePath, { recursive: true, force: true });
+  });
+
+  describe('storeEvents', () => {
+    it('keeps every event of batches stored at the same time', async () => {
+      await Promise.all([0, 1, 2, 3, 4].map(i =>
+        store.storeEvents('wv_a', [{ type: EventType.CUSTOM, timestamp: 1000 + i, data: { name: `e${i}` } }])
+      ));
+
+      const session = await store.getSession('wv_a');
+      assert.equal(session.events.length, 5);
+      assert.deepEqual(session.events.map(event => event.timestamp), [1000, 1001, 1002, 1003, 1004]);
+    });
+  });
+
+  describe('encryption', () => {
+    const keyRing = new KeyRing({ keys: { k1: randomBytes(32) }, activeKeyId: 'k1' });
+
+    it('encrypts session, summary and user index files', async () => {
+      const encrypted = new SessionStore({ storagePath, keyRing });
+      await encrypted.storeEvents('wv_a', [identify('jane@example.com', 1000)]);
+      encrypted.close();
+
+      for (const directory of ['.', 'summaries', 'users']) {
+        const files = (await readdir(join(storagePath, directory))).filter(file => file.endsWith('.json'));
+        const content = await readFile(join(storagePath, directory, files[0]));
+        assert.ok(content.toString('latin1').startsWith('WVENC1\n'), directory);
+        assert.ok(!content.includes('jane'), directory);
+      }
+
+      const reader = new SessionStore({ storagePath, keyRing });
+      assert.equal((await reader.getSession('wv_a')).events.length, 1);
+      assert.deepEqual(await reader.findUserSessions('jane@example.com'), ['wv_a']);
+      reader.close();
+    });
+
+    it('never replaces a session it cannot decrypt', async () => {
+      const encrypted = new SessionStore({ storagePath, keyRing });
+      await encrypted.storeEvents('wv_a', [identify('jane', 1000)]);
+
+      const filePath = join(storagePath, 'wv_a.json');
+      const damaged = await readFile(filePath);
+      damaged[8] = 0x2c;
+      await writeFile(filePath, damaged);
+
+      await assert.rejects(encrypted.storeEvents('wv_a', [identify('jane', 2000)]), EncryptionError);
+      assert.deepEqual(await readFile(filePath), damaged);
+
+      const withoutKey = new SessionStore({ storagePath });
+      await assert.rejects(withoutKey.getSession('wv_a'), { code: 'DECRYPT_FAILED' });
+      encrypted.close();
+      withoutKey.close();
+    });
+
+    it('fails reads of files whose key is missing', async () => {
+      const encrypted = new SessionStore({ storagePath, keyRing });
+      await encrypted.storeEvents('wv_a', [identify('jane', 1000)]);
+      encrypted.close();
+
+      const withoutKey = new SessionStore({ storagePath });
+      await assert.rejects(withoutKey.getSession('wv_a'), { code: 'KEY_MISSING' });
+      await assert.rejects(withoutKey.storeEvents('wv_a', []), { code: 'KEY_MISSING' });
+      assert.equal(await withoutKey.deleteSession('wv_a'), true);
+      withoutKey.close();
+    });
+  });
+
+  describe('checkpoints', () => {
+    it('indexes every DOM_SNAPSHOT as batches are stored', async () => {
+      await store.storeEvents('wv_a', [snapshot(1000), custom(1500)]);
+      await store.storeEvents('wv_a', [custom(1800), snapshot(2000, 'interval')]);
+
+      const session = await store.getSession('wv_a');
+      assert.deepEqual(session.checkpoints, [{ index: 0, timestamp: 1000 }, { index: 3, timestamp: 2000 }]);
+    });
+
+    it('rebuilds the index when a late batch reorders the events', async () => {
+      await store.storeEvents('wv_a', [snapshot(1000), snapshot(3000, 'interval')]);
+      await store.storeEvents('wv_a', [custom(2000)]);
+
+      const session = await store.getSession('wv_a');
+      assert.deepEqual(session.events.map(event => event.timestamp), [1000, 2000, 3000]);
+      assert.deepEqual(session.checkpoints, [{ index: 0, timestamp: 1000 }, { index: 2, timestamp: 3000 }]);
+    });
+  });
+
+  describe('pages', () => {
+    /**
+     * Builds a SESSION_START event
+     * @param {number} timestamp
+     * @param {string} url
+     * @returns {object}
+     */
+    function start(timestamp, url) {
+      return { type: EventType.SESSION_START, timestamp, data: { url } };
+    }
+
+    it('indexes the page loads of a session', async () => {
+      await store.storeEvents('wv_a', [start(1000, 'https://example.com/'), snapshot(1010)], {}, 1);
+      await store.storeEvents('wv_a', [start(5000, 'https://example.com/cart'), snapshot(5010), custom(6000)], {}, 2);
+
+      const session = await store.getSession('wv_a');
+
+      assert.deepEqual(session.pages, [
+        { page: 1, url: 'https://example.com/', startedAt: 1000, endedAt: 1010, eventCount: 2 },
+        { page: 2, url: 'https://example.com/cart', startedAt: 5000, endedAt: 6000, eventCount: 3 }
+      ]);
+      assert.equal((await store.listSessions({ limit: 10, offset: 0 })).sessions[0].pageCount, 2);
+    });
+
+    it('treats events without a page as page 1', async () => {
+      await store.storeEvents('wv_a', [start(1000, 'https://example.com/'), custom(1100)], {}, 'x');
+
+      const session = await store.getSession('wv_a');
+      assert.deepEqual(session.pages.map(entry => entry.page), [1]);
+      assert.equal(session.events[0].page, undefined);
+    });
+
+    it('filters events and checkpoints by page', async () => {
+      await store.storeEvents('wv_a', [start(1000, 'https://example.com/'), snapshot(1010)], {}, 1);
+      await store.storeEvents('wv_a', [start(5000, 'https://example.com/cart'), snapshot(5010)], {}, 2);
+      // A second tab's first page overlaps the second page
+      await store.storeEvents('wv_a', [custom(4000)], {}, 1);
+
+      const session = await store.getSession('wv_a', { page: 2 });
+
+      assert.deepEqual(session.events.map(event => event.timestamp), [5000, 5010]);
+      assert.deepEqual(session.checkpoints, [{ index: 1, timestamp: 5010 }]);
+      assert.equal(session.pages.length, 2);
+      assert.equal(await store.getSession('wv_a', { page: 3 }), null);
+    });
+  });
+
+  describe('getSessionAt', () => {
+    it('starts from the nearest checkpoint and stops at the time', async () => {
+      await store.storeEvents('wv_a', [
+        snapshot(1000), custom(1200), snapshot(2000, 'interval'), custom(2500), custom(3500)
+      ]);
+
+      const result = await store.getSessionAt('wv_a', 1600);
+
+      assert.equal(result.timestamp, 2600);
+      assert.equal(result.checkpoint.timestamp, 2000);
+      assert.deepEqual(result.events.map(event => event.timestamp), [2500]);
+      assert.equal((await store.getSessionAt('wv_a', 500)).checkpoint.timestamp, 1000);
+    });
+
+    it('counts the offset from the start of the page when one is given', async () => {
+      await store.storeEvents('wv_a', [snapshot(1000), custom(1100)], {}, 1);
+      await store.storeEvents('wv_a', [snapshot(5000), custom(5100), custom(5300)], {}, 2);
+
+      const result = await store.getSessionAt('wv_a', 200, { page: 2 });
+
+      assert.equal(result.checkpoint.timestamp, 5000);
+      assert.deepEqual(result.events.map(event => event.timestamp), [5100]);
+    });
+
+    it('returns null for unknown sessions', async () => {
+      assert.equal(await store.getSessionAt('wv_missing', 0), null);
+    });
+
+    it('returns null before the first checkpoint', async () => {
+      await store.storeEvents('wv_a', [
+        { type: EventType.SESSION_START, timestamp: 1000, data: {} },
+        { type: EventType.DOM_SNAPSHOT, timestamp: 1010, data: {} }
+      ]);
+
+      assert.equal(await store.getSessionAt('wv_a', 5), null);
+      assert.equal((await store.getSessionAt('wv_a', 10)).checkpoint.timestamp, 1010);
+    });
+  });
+
+  describe('user index', () => {
+    it('finds sessions by identify() calls and the user ID meta field', async () => {
+      await store.storeEvents('wv_a', [identify('jane', 1000)]);
+      await store.storeEvents('wv_b', [{ type: EventType.CUSTOM, timestamp: 1000, data: {} }], { account: 'jane' });
+      await store.storeEvents('wv_c', [identify('john', 1000)]);
+
+      assert.deepEqual((await store.findUserSessions('jane')).sort(), ['wv_a', 'wv_b']);
+      assert.deepEqual(await store.findUserSessions('john'), ['wv_c']);
+      assert.deepEqual(await store.findUserSessions('nobody'), []);
+    });
+
+    it('indexes sessions stored before the index existed once, skipping unreadable ones', async () => {
+      await store.storeEvents('wv_a', [identify('jane', 1000)]);
+      await store.storeEvents('wv_b', [identify('jane', 1000)]);
+      await rm(join(storagePath, 'users'), { recursive: true });
+      await writeFile(join(storagePath, 'summaries', 'wv_b.json'), 'WVENC1\n{"keyId":"lost"}\n');
+      store.close();
+
+      const upgraded = new SessionStore({ storagePath });
+      assert.deepEqual(await upgraded.findUserSessions('jane'), ['wv_a']);
+      upgraded.close();
+
+      // The marker keeps later starts from scanning again
+      const [indexFile] = (await readdir(join(storagePath, 'users'))).filter(file => file.endsWith('.json'));
+      await rm(join(storagePath, 'users', indexFile));
+      const restarted = new SessionStore({ storagePath });
+      assert.deepEqual(await restarted.findUserSessions('jane'), []);
+      restarted.close();
+    });
+
+    it('does not store user IDs in index files or their names', async () => {
+      await store.storeEvents('wv_a', [identify('jane@example.com', 1000)]);
+
+      const files = (await readdir(join(storagePath, 'users'))).filter(file => file.endsWith('.json'));
+      assert.equal(files.length, 1);
+      assert.match(files[0], /^[0-9a-f]{64}\.json$/);
+      assert.deepEqual(JSON.parse(await readFile(join(storagePath, 'users', files[0]), 'utf8')), { sessionIds: ['wv_a'] });
+    });
+  });
+
+  describe('exportUser route', () => {
+    const keyRing = new KeyRing({ keys: { k1: randomBytes(32) }, activeKeyId: 'k1' });
+
+    /**
+     * Requests the export of a user through the route
+     * @param {SessionStore} sessionStore
+     * @returns {Promise<Response>}
+     */
+    function exportUser(sessionStore) {
+      const routes = createWebvisorRoutes(sessionStore);
+      return routes.exportUser(new Request('http://localhost/api/webvisor/users/jane/export'), 'jane');
+    }
+
+    it('streams every session of the user as NDJSON', async () => {
+      await store.storeEvents('wv_a', [identify('jane', 1000)]);
+      await store.storeEvents('wv_b', [identify('jane', 1000)]);
+
+      const response = await exportUser(store);
+      const lines = (await response.text()).trim().split('\n').map(line => JSON.parse(line));
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(lines.map(session => session.sessionId).sort(), ['wv_a', 'wv_b']);
+    });
+
+    it('fails before responding when a session cannot be decrypted', async () => {
+      const encrypted = new SessionStore({ storagePath, keyRing });
+      await encrypted.storeEvents('wv_a', [identify('jane', 1000)]);
+      encrypted.close();
+
+      const withoutKey = new SessionStore({ storagePath });
+      const response = await exportUser(withoutKey);
+      withoutKey.close();
+
+      assert.equal(response.status, 500);
+      assert.match((await response.json()).error, /key "k1"/);
+    });
+
+    it('ends with an error record when a session fails while streaming', async () => {
+      const encrypted = new SessionStore({ storagePath, keyRing });
+      await encrypted.storeEvents('wv_a', [identify('jane', 1000)]);
+      await encrypted.storeEvents('wv_b', [identify('jane', 1000)]);
+
+      for (const sessionId of ['wv_a', 'wv_b']) {
+        const filePath = join(storagePath, `${sessionId}.json`);
+        const damaged = await readFile(filePath);
+        damaged[damaged.length - 1] ^= 1;
+        await writeFile(filePath, damaged);
+      }
+
+      const response = await exportUser(encrypted);
+      const lines = (await response.text()).trim().split('\n').map(line => JSON.parse(line));
+      encrypted.close();
+
+      assert.equal(response.status, 200);
+      assert.equal(lines.length, 1);
+      assert.equal(lines[0].incomplete, true);
+      assert.match(lines[0].sessionId, /^wv_[ab]$/);
+    });
+  });
+
+  describe('deleteUserSessions', () => {
+    it('deletes the sessions of a user and their index entries only', async () => {
+      await store.storeEvents('wv_a', [identify('jane', 1000)]);
+      await store.storeEvents('wv_b', [identify('jane', 1000), identify('john', 1001)]);
+      await store.storeEvents('wv_c', [identify('john', 1000)]);
+
+      const deleted = await store.deleteUserSessions('jane');
+
+      assert.deepEqual(deleted.sort(), ['wv_a', 'wv_b']);
+      assert.equal(await store.getSession('wv_a'), null);
+      assert.equal(await store.getSession('wv_b'), null);
+      assert.deepEqual(await store.findUserSessions('jane'), []);
+      assert.deepEqual(await store.findUserSessions('john'), ['wv_c']);
+    });
+
+    it('returns no sessions for unknown users', async () => {
+      assert.deepEqual(await store.deleteUserSessions('nobody'), []);
+    });
+
+    it('is answered with a signed receipt of the deleted sessions', async () => {
+      const receiptSigner = createReceiptSigner('secret');
+      const routes = createWebvisorRoutes(store, { receiptSigner });
+      await store.storeEvents('wv_a', [identify('jane@example.com', 1000)]);
+
+      const response = await routes.deleteUser(
+        new Request('http://localhost/api/webvisor/users/jane%40example.com', { method: 'DELETE' }),
+        'jane%40example.com'
+      );
+      const { success, receipt, signature } = await response.json();
+
+      assert.equal(response.status, 200);
+      assert.equal(success, true);
+      assert.equal(receipt.userId, 'jane@example.com');
+      assert.deepEqual(receipt.sessionIds, ['wv_a']);
+      assert.equal(receiptSigner.verify(receipt, signature), true);
+      assert.equal(await store.getSession('wv_a'), null);
+    });
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * Encryption - AES-256-GCM encryption of stored files, with rotatable keys
+ * @module storage/encryption
+ */
+
+import { createCipheriv, createDecipheriv, randomBytes } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// Encrypted files start with this line, then a JSON header line, the auth tag and the ciphertext
+const MAGIC = Buffer.from('WVENC1\n');
+
+/**
+ * Error for files that cannot be decrypted, such as files whose key is not configured
+ */
+export class EncryptionError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} code - 'KEY_MISSING' or 'DECRYPT_FAILED'
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'EncryptionError';
+    this.code = code;
+  }
+}
+
+/**
+ * Parses a 256-bit key written as base64 or hex
+ * @param {string} value
+ * @param {string} keyId - Named in the error for keys of the wrong length
+ * @returns {Buffer}
+ */
+function parseKey(value, keyId) {
+  const text = String(value).trim();
+  const key = /^[0-9a-f]{64}$/i.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64');
+
+  if (key.length !== KEY_LENGTH) {
+    throw new Error(`Encryption key "${keyId}" must be ${KEY_LENGTH} bytes, as base64 or hex`);
+  }
+  return key;
+}
+
+/**
+ * KeyRing class - The key new files are encrypted with, and older keys still readable
+ */
+export class KeyRing {
+  /**
+   * @param {object} options
+   * @param {Object<string, string|Buffer>} options.keys - Keys by ID, as buffers, base64 or hex
+   * @param {string} options.activeKeyId - ID of the key new files are encrypted with
+   */
+  constructor(options = {}) {
+    this.keys = new Map();
+    for (const [keyId, key] of Object.entries(options.keys || {})) {
+      this.keys.set(keyId, Buffer.isBuffer(key) ? key : parseKey(key, keyId));
+    }
+
+    this.activeKeyId = options.activeKeyId;
+    if (!this.keys.has(this.activeKeyId)) {
+      throw new Error(`Active encryption key "${this.activeKeyId}" is not configured`);
+    }
+  }
+
+  /**
+   * Creates a key ring from the environment:
+   * - `ENCRYPTION_KEY_FILE`: JSON file of `{activeKeyId, keys: {[id]: key}}`
+   * - `ENCRYPTION_KEY` and `ENCRYPTION_KEY_ID`: the active key and its ID
+   * - `ENCRYPTION_PREVIOUS_KEYS`: older keys still read, as `id:key,id:key`
+   * @param {object} [env]
+   * @returns {KeyRing|null} null when no key is configured
+   */
+  static fromEnv(env = process.env) {
+    const keys = {};
+    let activeKeyId = null;
+
+    if (env.ENCRYPTION_KEY_FILE) {
+      const file = JSON.parse(readFileSync(env.ENCRYPTION_KEY_FILE, 'utf-8'));
+      Object.assign(keys, file.keys);
+      activeKeyId = file.activeKeyId;
+    }
+
+    for (const entry of (env.ENCRYPTION_PREVIOUS_KEYS || '').split(',')) {
+      const separator = entry.indexOf(':');
+      if (separator > 0) {
+        keys[entry.slice(0, separator).trim()] = entry.slice(separator + 1);
+      }
+    }
+
+    if (env.ENCRYPTION_KEY) {
+      activeKeyId = env.ENCRYPTION_KEY_ID || 'default';
+      keys[activeKeyId] = env.ENCRYPTION_KEY;
+    }
+
+    return activeKeyId ? new KeyRing({ keys, activeKeyId }) : null;
+  }
+
+  /**
+   * Gets a key by ID
+   * @param {string} keyId
+   * @returns {Buffer|undefined}
+   */
+  get(keyId) {
+    return this.keys.get(keyId);
+  }
+}
+
+/**
+ * Reads the header of an encrypted file
+ * @param {Buffer} content
+ * @returns {{header: object, headerEnd: number}|null} null for plaintext files
+ */
+function readHeader(content) {
+  if (!content.subarray(0, MAGIC.length).equals(MAGIC)) return null;
+
+  const headerEnd = content.indexOf(0x0a, MAGIC.length);
+  if (headerEnd === -1) {
+    throw new EncryptionError('Encrypted file has no header', 'DECRYPT_FAILED');
+  }
+
+  // A damaged file must fail like any other unreadable one, never look like a missing file
+  let header;
+  try {
+    header = JSON.parse(content.subarray(MAGIC.length, headerEnd).toString('utf8'));
+  } catch (error) {
+    throw new EncryptionError(`Encrypted file has a damaged header: ${error.message}`, 'DECRYPT_FAILED');
+  }
+
+  if (!header || typeof header.keyId !== 'string' || typeof header.iv !== 'string') {
+    throw new EncryptionError('Encrypted file has a damaged header', 'DECRYPT_FAILED');
+  }
+  if (content.length < headerEnd + 1 + TAG_LENGTH) {
+    throw new EncryptionError(`File encrypted with key "${header.keyId}" is truncated`, 'DECRYPT_FAILED');
+  }
+
+  return { header, headerEnd };
+}
+
+/**
+ * Gets the ID of the key a file was encrypted with
+ * @param {Buffer} content
+ * @returns {string|null} null for plaintext files
+ */
+export function getKeyId(content) {
+  return readHeader(content)?.header.keyId ?? null;
+}
+
+/**
+ * Encodes file content, encrypted with the active key when a key ring is given
+ * @param {string} text
+ * @param {KeyRing|null} keyRing
+ * @returns {Buffer|string}
+ */
+export function encodeFile(text, keyRing) {
+  if (!keyRing) return text;
+
+  const iv = randomBytes(IV_LENGTH);
+  const headerLine = Buffer.from(JSON.stringify({
+    alg: ALGORITHM,
+    keyId: keyRing.activeKeyId,
+    iv: iv.toString('base64')
+  }));
+
+  // The header is authenticated, so its key ID and IV cannot be swapped
+  const cipher = createCipheriv(ALGORITHM, keyRing.get(keyRing.activeKeyId), iv);
+  cipher.setAAD(headerLine);
+  const ciphertext = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+
+  return Buffer.concat([MAGIC, headerLine, Buffer.from('\n'), cipher.getAuthTag(), ciphertext]);
+}
+
+/**
+ * Decodes file content, decrypting it when it is encrypted. Plaintext files are
+ * read as they are, so encryption can be turned on for an existing data directory
+ * @param {Buffer} content
+ * @param {KeyRing|null} keyRing
+ * @returns {string}
+ */
+export function decodeFile(content, keyRing) {
+  const parsed = readHeader(content);
+  if (!parsed) return content.toString('utf8');
+
+  const { header, headerEnd } = parsed;
+  const key = keyRing?.get(header.keyId);
+
+  if (!key) {
+    throw new EncryptionError(
+      `File is encrypted with key "${header.keyId}", which is not configured`,
+      'KEY_MISSING'
+    );
+  }
+
+  const tagStart = headerEnd + 1;
+  const tag = content.subarray(tagStart, tagStart + TAG_LENGTH);
+
+  try {
+    const decipher = createDecipheriv(ALGORITHM, key, Buffer.from(header.iv, 'base64'));
+    decipher.setAAD(content.subarray(MAGIC.length, headerEnd));
+    decipher.setAuthTag(tag);
+    return Buffer.concat([
+      decipher.update(content.subarray(tagStart + TAG_LENGTH)),
+      decipher.final()
+    ]).toString('utf8');
+  } catch (error) {
+    // A wrong key under the right ID, or a changed file
+    throw new EncryptionError(
+      `File could not be decrypted with key "${header.keyId}": ${error.message}`,
+      'DECRYPT_FAILED'
+    );
+  }
+}
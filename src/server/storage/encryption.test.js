@@ -0,0 +1,206 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { randomBytes } from 'node:crypto';
+import { mkdir, mkdtemp, readFile, rm, stat, utimes, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+
+import { EncryptionError, KeyRing, decodeFile, encodeFile, getKeyId } from './encryption.js';
+
+const ROTATE_SCRIPT = fileURLToPath(new URL('../../../scripts/rotate-keys.js', import.meta.url));
+
+const KEY_1 = randomBytes(32);
+const KEY_2 = randomBytes(32);
+
+/**
+ * Runs the key rotation script, resolving with its exit code and output
+ * @param {object} env
+ * @param {string[]} [args]
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+ */
+async function rotateKeys(env, args = []) {
+  try {
+    const { stdout, stderr } = await promisify(execFile)(process.execPath, [ROTATE_SCRIPT, ...args], { env });
+    return { code: 0, stdout, stderr };
+  } catch (error) {
+    return { code: error.code, stdout: error.stdout, stderr: error.stderr };
+  }
+}
+
+/**
+ * Runs a function and returns the EncryptionError it throws
+ * @param {Function} fn
+ * @returns {EncryptionError}
+ */
+function catchEncryptionError(fn) {
+  try {
+    fn();
+  } catch (error) {
+    assert.ok(error instanceof EncryptionError, `expected EncryptionError, got ${error}`);
+    return error;
+  }
+  assert.fail('expected an EncryptionError');
+}
+
+describe('encodeFile and decodeFile', () => {
+  const keyRing = new KeyRing({ keys: { k1: KEY_1 }, activeKeyId: 'k1' });
+
+  it('round-trips text and records the key ID', () => {
+    const content = encodeFile('{"events":[]}', keyRing);
+
+    assert.ok(!content.includes('events'));
+    assert.equal(getKeyId(content), 'k1');
+    assert.equal(decodeFile(content, keyRing), '{"events":[]}');
+  });
+
+  it('uses a new IV for every file', () => {
+    assert.notDeepEqual(encodeFile('same', keyRing), encodeFile('same', keyRing));
+  });
+
+  it('passes plaintext through, with or without a key ring', () => {
+    assert.equal(encodeFile('{"a":1}', null), '{"a":1}');
+    assert.equal(decodeFile(Buffer.from('{"a":1}'), keyRing), '{"a":1}');
+    assert.equal(decodeFile(Buffer.from('{"a":1}'), null), '{"a":1}');
+    assert.equal(getKeyId(Buffer.from('{"a":1}')), null);
+  });
+
+  it('fails clearly when the key is not configured', () => {
+    const content = encodeFile('secret', keyRing);
+    const otherRing = new KeyRing({ keys: { k2: KEY_2 }, activeKeyId: 'k2' });
+
+    for (const ring of [otherRing, null]) {
+      const error = catchEncryptionError(() => decodeFile(content, ring));
+      assert.equal(error.code, 'KEY_MISSING');
+      assert.match(error.message, /key "k1"/);
+    }
+  });
+
+  it('rejects changed ciphertext and headers', () => {
+    const content = encodeFile('secret', keyRing);
+
+    const ciphertext = Buffer.from(content);
+    ciphertext[ciphertext.length - 1] ^= 1;
+    assert.equal(catchEncryptionError(() => decodeFile(ciphertext, keyRing)).code, 'DECRYPT_FAILED');
+
+    // Valid JSON with another IV: caught by the header being authenticated
+    const iv = JSON.parse(content.subarray(7, content.indexOf(0x0a, 7)).toString()).iv;
+    const header = Buffer.from(content.toString('latin1').replace(iv, randomBytes(12).toString('base64')), 'latin1');
+    assert.equal(catchEncryptionError(() => decodeFile(header, keyRing)).code, 'DECRYPT_FAILED');
+  });
+
+  it('rejects damaged headers and truncated files', () => {
+    const content = encodeFile('secret', keyRing);
+    const headerEnd = content.indexOf(0x0a, 7);
+
+    const damaged = Buffer.from(content);
+    damaged[8] = 0x2c;
+    const truncated = content.subarray(0, headerEnd + 5);
+    const headerless = content.subarray(0, headerEnd);
+
+    for (const file of [damaged, truncated, headerless]) {
+      assert.equal(catchEncryptionError(() => decodeFile(file, keyRing)).code, 'DECRYPT_FAILED');
+    }
+  });
+
+  it('decrypts files of older keys kept in the ring', () => {
+    const content = encodeFile('old', new KeyRing({ keys: { k1: KEY_1 }, activeKeyId: 'k1' }));
+    const rotated = new KeyRing({ keys: { k1: KEY_1, k2: KEY_2 }, activeKeyId: 'k2' });
+
+    assert.equal(decodeFile(content, rotated), 'old');
+    assert.equal(getKeyId(encodeFile('new', rotated)), 'k2');
+  });
+});
+
+describe('KeyRing.fromEnv', () => {
+  it('returns null without a key', () => {
+    assert.equal(KeyRing.fromEnv({}), null);
+  });
+
+  it('reads the active key and previous keys as base64 or hex', () => {
+    const keyRing = KeyRing.fromEnv({
+      ENCRYPTION_KEY: KEY_2.toString('base64'),
+      ENCRYPTION_KEY_ID: 'k2',
+      ENCRYPTION_PREVIOUS_KEYS: `k1:${KEY_1.toString('hex')}`
+    });
+
+    assert.equal(keyRing.activeKeyId, 'k2');
+    assert.deepEqual(keyRing.get('k1'), KEY_1);
+    assert.deepEqual(keyRing.get('k2'), KEY_2);
+  });
+
+  it('names the default key ID "default"', () => {
+    assert.equal(KeyRing.fromEnv({ ENCRYPTION_KEY: KEY_1.toString('base64') }).activeKeyId, 'default');
+  });
+
+  it('rejects keys that are not 256 bits', () => {
+    assert.throws(() => KeyRing.fromEnv({ ENCRYPTION_KEY: 'short' }), /must be 32 bytes/);
+  });
+});
+
+describe('rotate-keys script', () => {
+  let dataPath;
+  let sessionPath;
+
+  beforeEach(async () => {
+    dataPath = await mkdtemp(join(tmpdir(), 'webvisor-rotate-'));
+    await mkdir(join(dataPath, 'summaries'));
+    sessionPath = join(dataPath, 'wv_a.json');
+
+    const oldRing = new KeyRing({ keys: { k1: KEY_1 }, activeKeyId: 'k1' });
+    await writeFile(sessionPath, encodeFile('{"sessionId":"wv_a"}', oldRing));
+    await writeFile(join(dataPath, 'summaries', 'wv_a.json'), encodeFile('{}', oldRing));
+    await writeFile(join(dataPath, 'wv_b.json'), '{"sessionId":"wv_b"}');
+    await utimes(sessionPath, new Date(1700000000000), new Date(1700000000000));
+  });
+
+  afterEach(async () => {
+    await rm(dataPath, { recursive: true, force: true });
+  });
+
+  it('re-encrypts older and plaintext files with the active key, keeping their modification time', async () => {
+    const env = {
+      DATA_PATH: dataPath,
+      ENCRYPTION_KEY: KEY_2.toString('base64'),
+      ENCRYPTION_KEY_ID: 'k2',
+      ENCRYPTION_PREVIOUS_KEYS: `k1:${KEY_1.toString('base64')}`
+    };
+    const keyRing = KeyRing.fromEnv(env);
+
+    const dryRun = await rotateKeys(env, ['--dry-run']);
+    assert.equal(dryRun.code, 0);
+    assert.match(dryRun.stdout, /3 of 3 files would be re-encrypted/);
+    assert.equal(getKeyId(await readFile(sessionPath)), 'k1');
+
+    const result = await rotateKeys(env);
+    assert.equal(result.code, 0);
+    assert.match(result.stdout, /3 of 3 files re-encrypted with key "k2"/);
+
+    const content = await readFile(sessionPath);
+    assert.equal(getKeyId(content), 'k2');
+    assert.equal(decodeFile(content, keyRing), '{"sessionId":"wv_a"}');
+    assert.equal(decodeFile(await readFile(join(dataPath, 'wv_b.json')), keyRing), '{"sessionId":"wv_b"}');
+    assert.equal((await stat(sessionPath)).mtimeMs, 1700000000000);
+
+    // Files already on the active key are left alone
+    assert.match((await rotateKeys(env)).stdout, /0 of 3 files re-encrypted/);
+  });
+
+  it('fails without changing files whose key is missing', async () => {
+    const before = await readFile(sessionPath);
+    const result = await rotateKeys({ DATA_PATH: dataPath, ENCRYPTION_KEY: KEY_2.toString('base64'), ENCRYPTION_KEY_ID: 'k2' });
+
+    assert.equal(result.code, 1);
+    assert.match(result.stderr, /key "k1", which is not configured/);
+    assert.deepEqual(await readFile(sessionPath), before);
+  });
+
+  it('fails without a configured key', async () => {
+    const result = await rotateKeys({ DATA_PATH: dataPath });
+
+    assert.equal(result.code, 1);
+    assert.match(result.stderr, /No encryption key configured/);
+  });
+});
@@ -21,7 +21,38 @@ export const EventType = {
 
   // Session Events
   SESSION_START: 9,
-  SESSION_END: 10
+  SESSION_END: 10,
+
+  // Stylesheet Events
+  STYLE_SHEET_RULE: 11,
+  ADOPTED_STYLE_SHEETS: 12,
+
+  // Touch and Pointer Events
+  POINTER: 13,
+  TOUCH: 14,
+  VISUAL_VIEWPORT: 15,
+
+  // Console and Error Events
+  CONSOLE: 16,
+  ERROR: 17,
+
+  // Network Events
+  NETWORK_REQUEST: 18,
+  NETWORK_RESPONSE: 19,
+
+  // Performance Events
+  PERFORMANCE_METRIC: 20,
+  LONG_TASK: 21,
+  RESOURCE_TIMING: 22,
+
+  // Custom Events
+  CUSTOM: 23,
+  IDENTIFY: 24,
+  TAG: 25,
+
+  // Frustration Events
+  RAGE_CLICK: 26,
+  DEAD_CLICK: 27
 };
 
 /**
@@ -32,7 +63,45 @@ export const EventType = {
 export const MutationType = {
   CHILD_LIST: 0,
   ATTRIBUTES: 1,
-  CHARACTER_DATA: 2
+  CHARACTER_DATA: 2,
+  ATTACH_ROOT: 3,
+  BATCH: 4
+};
+
+/**
+ * Stylesheet rule change actions
+ * @readonly
+ * @enum {number}
+ */
+export const StyleSheetAction = {
+  INSERT_RULE: 0,
+  DELETE_RULE: 1,
+  REPLACE: 2
+};
+
+/**
+ * Pointer event phases
+ * @readonly
+ * @enum {number}
+ */
+export const PointerAction = {
+  DOWN: 0,
+  MOVE: 1,
+  UP: 2,
+  CANCEL: 3
+};
+
+/**
+ * Touch event phases and gestures
+ * @readonly
+ * @enum {number}
+ */
+export const TouchAction = {
+  START: 0,
+  MOVE: 1,
+  END: 2,
+  CANCEL: 3,
+  LONG_PRESS: 4
 };
 
 /**
@@ -64,6 +133,26 @@ export const SENSITIVE_NAME_PATTERNS = [
   /token/i
 ];
 
+/**
+ * Inline style of the placeholder replayed in place of a blocked element
+ * @param {string|undefined} style - Recorded style attribute of the element
+ * @param {{width: number, height: number, inline: boolean}} blocked - Recorded box of the element
+ * @returns {string}
+ */
+export function getPlaceholderStyle(style, blocked) {
+  const box = [
+    blocked.inline ? 'display: inline-block !important' : '',
+    `width: ${Number(blocked.width) || 0}px !important`,
+    `height: ${Number(blocked.height) || 0}px !important`,
+    'box-sizing: border-box !important',
+    'overflow: hidden !important',
+    'background: repeating-linear-gradient(45deg, #e5e7eb 0 8px, #f3f4f6 8px 16px) !important',
+    'border: 1px dashed #9ca3af !important'
+  ].filter(Boolean).join('; ');
+
+  return style ? `${style}; ${box}` : box;
+}
+
 /**
  * Default configuration
  */
@@ -74,24 +163,84 @@ export const DEFAULT_CONFIG = {
   // Retention period in days
   retentionDays: 15,
 
+  // Inactivity after which the next page load starts a new session (0 starts one on every load)
+  sessionTimeout: 30 * 60 * 1000, // ms
+
   // Privacy settings
   privacy: {
     maskAllInputs: false,
     maskSensitiveInputs: true,
+    maskAllText: false,
     excludeAttribute: 'data-ym-disable',
+    blockAttribute: 'data-ym-block', // Recorded as an empty placeholder of the element's size
+    blockSelector: null, // CSS selectors of more blocked elements, e.g. '.ad, #map'
     excludePages: []
   },
 
+  // Consent: with requireConsent, nothing is sent or stored until setConsent(true)
+  requireConsent: false,
+  consent: {
+    beforeConsent: 'wait', // 'wait' starts recording once consent is granted, 'buffer' records in memory until then
+    maxBufferedEvents: 5000,
+    honorGlobalPrivacyControl: false, // navigator.globalPrivacyControl disables recording
+    honorDoNotTrack: false // Do Not Track disables recording
+  },
+
   // Event batching
   batchSize: 50,
   batchInterval: 1000, // ms
 
+  // Gzip batches before sending when the browser supports CompressionStream
+  compression: true,
+
+  // Buffer, encode, compress and send events in a dedicated worker
+  worker: false,
+  workerUrl: null, // defaults to TransportWorker.js next to the SDK
+
+  // Batches the server has not accepted yet, kept in IndexedDB across page loads
+  queue: {
+    maxSize: 5 * 1024 * 1024, // bytes
+    dropPolicy: 'oldest', // 'oldest' or 'newest' batches are dropped when full
+    retryDelay: 1000, // ms before the first retry, doubled after each failure
+    maxRetryDelay: 5 * 60 * 1000 // ms
+  },
+
   // Mouse tracking throttle (ms)
   mouseThrottle: 50,
 
   // Scroll tracking throttle (ms)
   scrollThrottle: 100,
 
+  // Console methods to record (empty disables console recording)
+  consoleLevels: ['log', 'warn', 'error'],
+
+  // Web Vitals, long tasks and resource timing
+  performanceMetrics: true,
+
+  // Frustration signals derived from clicks
+  frustration: {
+    rageClickCount: 3, // clicks (0 disables rage clicks)
+    rageClickRadius: 30, // px
+    rageClickWindow: 1000, // ms
+    deadClickTimeout: 1000 // ms without a page response (0 disables dead clicks)
+  },
+
+  // Network request recording; headers and bodies are opt-in
+  network: {
+    enabled: true,
+    recordHeaders: [], // Header names to record, e.g. ['content-type']
+    recordBody: false,
+    maxBodyLength: 10000, // characters
+    denyUrls: [] // URL patterns never recorded (regex strings)
+  },
+
+  // Full snapshot checkpoints for seeking (0 disables)
+  checkpointInterval: 120000, // ms
+  checkpointMutations: 5000,
+
   // Server endpoint
-  endpoint: '/api/webvisor/events'
+  endpoint: '/api/webvisor/events',
+
+  // Extra fields sent in the meta of every batch, such as an account ID for the server's user index
+  meta: {}
 };